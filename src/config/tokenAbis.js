@@ -0,0 +1,57 @@
+// Standard token interfaces, limited to the functions this server calls
+
+const view = (name, inputs, outputType) => ({
+  inputs: inputs.map(([type, inputName]) => ({ internalType: type, name: inputName, type })),
+  name,
+  outputs: [{ internalType: outputType, name: '', type: outputType }],
+  stateMutability: 'view',
+  type: 'function'
+});
+
+const write = (name, inputs, outputType) => ({
+  inputs: inputs.map(([type, inputName]) => ({ internalType: type, name: inputName, type })),
+  name,
+  outputs: outputType ? [{ internalType: outputType, name: '', type: outputType }] : [],
+  stateMutability: 'nonpayable',
+  type: 'function'
+});
+
+export const erc20Abi = [
+  view('name', [], 'string'),
+  view('symbol', [], 'string'),
+  view('decimals', [], 'uint8'),
+  view('totalSupply', [], 'uint256'),
+  view('balanceOf', [['address', 'account']], 'uint256'),
+  view('allowance', [['address', 'owner'], ['address', 'spender']], 'uint256'),
+  write('transfer', [['address', 'to'], ['uint256', 'value']], 'bool'),
+  write('approve', [['address', 'spender'], ['uint256', 'value']], 'bool'),
+  write('transferFrom', [['address', 'from'], ['address', 'to'], ['uint256', 'value']], 'bool')
+];
+
+const supportsInterface = view('supportsInterface', [['bytes4', 'interfaceId']], 'bool');
+
+export const erc165Abi = [supportsInterface];
+
+// Only the safeTransferFrom overload with `data`; the shorter one forwards empty data to it
+export const erc721Abi = [
+  supportsInterface,
+  view('name', [], 'string'),
+  view('symbol', [], 'string'),
+  view('balanceOf', [['address', 'owner']], 'uint256'),
+  view('ownerOf', [['uint256', 'tokenId']], 'address'),
+  view('tokenURI', [['uint256', 'tokenId']], 'string'),
+  write('safeTransferFrom', [['address', 'from'], ['address', 'to'], ['uint256', 'tokenId'], ['bytes', 'data']])
+];
+
+export const erc1155Abi = [
+  supportsInterface,
+  view('balanceOf', [['address', 'account'], ['uint256', 'id']], 'uint256'),
+  view('uri', [['uint256', 'id']], 'string'),
+  write('safeTransferFrom', [
+    ['address', 'from'],
+    ['address', 'to'],
+    ['uint256', 'id'],
+    ['uint256', 'value'],
+    ['bytes', 'data']
+  ])
+];
@@ -0,0 +1,11 @@
+import Web3 from 'web3';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const httpRpcUrl = process.env.MONAD_RPC_URL || 'http://localhost:8545';
+
+// Shared HTTP client for the Monad RPC, used by every service that talks to the chain
+export const web3 = new Web3(httpRpcUrl);
+
+export default web3;
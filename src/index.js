@@ -7,12 +7,24 @@ import { dirname, join } from 'path';
 import swaggerUi from 'swagger-ui-express';
 import blockchain from './routes/blockchain.js';
 import actionsRoutes from './routes/actions.js';
+import gasRoutes from './routes/gas.js';
+import txRoutes from './routes/tx.js';
+import approvalRoutes from './routes/approvals.js';
+import walletRoutes from './routes/wallets.js';
+import transferRoutes from './routes/transfers.js';
+import erc20Routes from './routes/erc20.js';
+import nftRoutes from './routes/nft.js';
+import mcpRoutes from './routes/mcp.js';
 import logger from './utils/logger.js';
 import ensureLogDir from './utils/ensureLogDir.js';
 import swaggerSpec from './config/swagger.js';
 import WebSocketService from './services/websocket.js';
 import monadService from './services/monad.js';
 import stdioService from './services/stdioService.js';
+import blockPoller from './services/blockPoller.js';
+import walletManager from './services/walletManager.js';
+import txTracker from './services/txTracker.js';
+import { PolicyViolationError } from './services/spendingPolicy.js';
 import axios from 'axios';
 
 // Ensure logs directory exists
@@ -41,9 +53,12 @@ app.use(helmet({
 }));
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Mcp-Session-Id', 'Last-Event-ID'],
+  exposedHeaders: ['Mcp-Session-Id']
 }));
+// MCP routes parse their own bodies so they can answer malformed JSON with JSON-RPC errors
+app.use(mcpRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -96,7 +111,7 @@ app.get('/sse', async (req, res) => {
   logger.info('New SSE client connected');
 
   if (sseClients.size === 1) {
-    startBlockPolling();
+    blockPoller.acquire();
   }
 
   req.on('close', () => {
@@ -104,7 +119,7 @@ app.get('/sse', async (req, res) => {
     sseClients.delete(res);
     logger.info('SSE client disconnected');
     if (sseClients.size === 0) {
-      stopBlockPolling();
+      blockPoller.release();
     }
   });
 });
@@ -114,86 +129,30 @@ app.get('/api/events', (req, res) => {
   res.redirect(307, '/sse');
 });
 
-// Block polling for SSE
-let blockPollingInterval = null;
-let lastBlock = null;
-let consecutiveErrors = 0;
-const MAX_CONSECUTIVE_ERRORS = 3;
-const POLLING_INTERVAL = 2000;
-const ERROR_POLLING_INTERVAL = 5000;
+// Forward polled blocks to SSE clients
+blockPoller.on('newBlock', (blockInfo) => {
+  const eventData = JSON.stringify({
+    type: 'newBlock',
+    data: blockInfo
+  });
 
-const startBlockPolling = async () => {
-  if (blockPollingInterval) return;
+  sseClients.forEach(client => {
+    client.write(`data: ${eventData}\n\n`);
+  });
 
-  try {
-    lastBlock = (await monadService.getLatestBlockNumber()).toString();
-    
-    const poll = async () => {
-      try {
-        const currentBlock = (await monadService.getLatestBlockNumber()).toString();
-        if (BigInt(currentBlock) > BigInt(lastBlock)) {
-          const block = await monadService.web3.eth.getBlock(currentBlock, true);
-          if (block) {
-            const blockInfo = {
-              number: block.number.toString(),
-              hash: block.hash,
-              timestamp: block.timestamp.toString(),
-              gasUsed: (block.gasUsed || '0').toString(),
-              miner: block.miner,
-              baseFeePerGas: block.baseFeePerGas ? block.baseFeePerGas.toString() : '0',
-              difficulty: block.difficulty ? block.difficulty.toString() : '0',
-              totalDifficulty: block.totalDifficulty ? block.totalDifficulty.toString() : '0'
-            };
-
-            const eventData = JSON.stringify({
-              type: 'newBlock',
-              data: blockInfo
-            });
-
-            sseClients.forEach(client => {
-              client.write(`data: ${eventData}\n\n`);
-            });
-
-            lastBlock = currentBlock;
-            logger.info('New block broadcast to SSE clients:', { blockNumber: blockInfo.number });
-          }
-        }
-        consecutiveErrors = 0;
-        blockPollingInterval = setTimeout(poll, POLLING_INTERVAL);
-      } catch (error) {
-        logger.error('Error in SSE block polling:', { error: error.message });
-        consecutiveErrors++;
-
-        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
-          const errorData = JSON.stringify({
-            type: 'error',
-            data: { message: 'Experiencing temporary issues with block updates' }
-          });
-          sseClients.forEach(client => {
-            client.write(`data: ${errorData}\n\n`);
-          });
-        }
+  logger.info('New block broadcast to SSE clients:', { blockNumber: blockInfo.number });
+});
 
-        blockPollingInterval = setTimeout(poll, ERROR_POLLING_INTERVAL);
-      }
-    };
+blockPoller.on('pollingError', (message) => {
+  const errorData = JSON.stringify({
+    type: 'error',
+    data: { message }
+  });
 
-    await poll();
-    logger.info('SSE block polling started');
-  } catch (error) {
-    logger.error('Error starting SSE block polling:', { error: error.message });
-    setTimeout(startBlockPolling, ERROR_POLLING_INTERVAL);
-  }
-};
-
-const stopBlockPolling = () => {
-  if (blockPollingInterval) {
-    clearTimeout(blockPollingInterval);
-    blockPollingInterval = null;
-    consecutiveErrors = 0;
-    logger.info('SSE block polling stopped');
-  }
-};
+  sseClients.forEach(client => {
+    client.write(`data: ${errorData}\n\n`);
+  });
+});
 
 // Event listener for greeting updates
 monadService.on('greetingUpdated', (eventData) => {
@@ -207,183 +166,26 @@ monadService.on('greetingUpdated', (eventData) => {
   });
 });
 
-// MCP SSE clients set
-const mcpClients = new Set();
-
-// MCP SSE endpoint
-app.get('/mcp-sse', (req, res) => {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*'
-  });
-
-  const clientId = Date.now().toString();
-  mcpClients.add(res);
-
-  // Send initial connection message
-  const initMessage = {
-    jsonrpc: "2.0",
-    id: 0,
-    result: {
-      status: "connected",
-      clientId: clientId,
-      serverInfo: {
-        name: "pikimon-mcp-server",
-        version: "2.0",
-        transport: "sse"
-      }
-    }
-  };
-  res.write(`data: ${JSON.stringify(initMessage)}\n\n`);
-
-  // Keep connection alive with heartbeat
-  const heartbeat = setInterval(() => {
-    const heartbeatMsg = {
-      jsonrpc: "2.0",
-      method: "heartbeat",
-      params: {
-        timestamp: Date.now(),
-        status: "alive"
-      }
-    };
-    res.write(`data: ${JSON.stringify(heartbeatMsg)}\n\n`);
-  }, 30000);
-
-  // Handle block updates
-  const blockUpdateHandler = async (blockNumber) => {
-    try {
-      const block = await monadService.web3.eth.getBlock(blockNumber, true);
-      if (block) {
-        const blockMsg = {
-          jsonrpc: "2.0",
-          method: "block/new",
-          params: {
-            block: {
-              number: block.number.toString(),
-              hash: block.hash,
-              timestamp: block.timestamp.toString(),
-              transactions: block.transactions.length
-            }
-          }
-        };
-        res.write(`data: ${JSON.stringify(blockMsg)}\n\n`);
-      }
-    } catch (error) {
-      logger.error('Error handling block update:', { error: error.message });
-    }
-  };
-
-  // Handle greeting updates
-  const greetingUpdateHandler = (greeting) => {
-    const greetingMsg = {
-      jsonrpc: "2.0",
-      method: "greeting/update",
-      params: {
-        greeting: greeting
-      }
-    };
-    res.write(`data: ${JSON.stringify(greetingMsg)}\n\n`);
-  };
-
-  // Subscribe to events
-  monadService.on('newBlock', blockUpdateHandler);
-  monadService.on('greetingUpdated', greetingUpdateHandler);
-
-  // Start block polling if this is the first client
-  if (mcpClients.size === 1) {
-    startBlockPolling();
-  }
-
-  // Cleanup on connection close
-  req.on('close', () => {
-    clearInterval(heartbeat);
-    mcpClients.delete(res);
-    monadService.off('newBlock', blockUpdateHandler);
-    monadService.off('greetingUpdated', greetingUpdateHandler);
-    
-    // Stop polling if no clients left
-    if (mcpClients.size === 0) {
-      stopBlockPolling();
-    }
-    
-    logger.info('MCP SSE client disconnected:', { clientId });
-  });
-
-  logger.info('MCP SSE client connected:', { clientId });
-});
-
-// Handle MCP JSON-RPC requests
-app.post('/mcp', async (req, res) => {
-  const request = req.body;
-
-  // Basic JSON-RPC validation
-  if (!request.jsonrpc || request.jsonrpc !== '2.0' || !request.method || !('id' in request)) {
-    return res.status(400).json({
-      jsonrpc: '2.0',
-      id: request.id || null,
-      error: {
-        code: -32600,
-        message: 'Invalid Request'
-      }
-    });
-  }
-
-  try {
-    let response;
-    
-    switch (request.method) {
-      case 'block/latest':
-        const blockNumber = await monadService.getLatestBlockNumber();
-        response = {
-          jsonrpc: '2.0',
-          id: request.id,
-          result: {
-            blockNumber: blockNumber.toString()
-          }
-        };
-        break;
-
-      case 'greeting/get':
-        const greeting = await monadService.getData();
-        response = {
-          jsonrpc: '2.0',
-          id: request.id,
-          result: {
-            greeting: greeting || ''
-          }
-        };
-        break;
-
-      default:
-        response = {
-          jsonrpc: '2.0',
-          id: request.id,
-          error: {
-            code: -32601,
-            message: 'Method not found'
-          }
-        };
-    }
-
-    return res.json(response);
-  } catch (error) {
-    logger.error('Error handling MCP request:', { error: error.message });
-    return res.status(500).json({
-      jsonrpc: '2.0',
-      id: request.id,
-      error: {
-        code: -32000,
-        message: 'Server error'
-      }
+// Forward transaction outcomes to SSE clients
+['txConfirmed', 'txFailed'].forEach(type => {
+  txTracker.on(type, (record) => {
+    const data = JSON.stringify({ type, data: record });
+    sseClients.forEach(client => {
+      client.write(`data: ${data}\n\n`);
     });
-  }
+  });
 });
 
 // Routes
 app.use('/api', blockchain);
 app.use('/api', actionsRoutes);
+app.use('/api', gasRoutes);
+app.use('/api', txRoutes);
+app.use('/api', approvalRoutes);
+app.use('/api', walletRoutes);
+app.use('/api', transferRoutes);
+app.use('/api', erc20Routes);
+app.use('/api', nftRoutes);
 
 // Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -406,7 +208,9 @@ app.get('/', (req, res) => {
       documentation: `http://${serverHost}:${serverPort}/api-docs`,
       websocket: `ws://${serverHost}:${wsPort}`,
       sse: `http://${serverHost}:${serverPort}/sse`,
+      mcp: `http://${serverHost}:${serverPort}/mcp`,
       mcpSse: `http://${serverHost}:${serverPort}/mcp-sse`,
+      mcpSseMessages: `http://${serverHost}:${serverPort}/mcp-sse/messages`,
       health: `http://${serverHost}:${serverPort}/health`,
       api: `http://${serverHost}:${serverPort}/api`
     },
@@ -437,6 +241,14 @@ app.use((req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof PolicyViolationError) {
+    return res.status(403).json({
+      success: false,
+      error: err.message,
+      code: err.code,
+      violations: err.violations
+    });
+  }
   logger.error('Server error:', { error: err.message, stack: err.stack });
   res.status(500).json({ 
     success: false,
@@ -473,6 +285,7 @@ function startServer(port) {
       // Initialize WebSocket service after server starts
       try {
         wsService.initialize();
+        wsService.setupEventListeners();
       } catch (wsError) {
         logger.error('Failed to initialize WebSocket service:', { error: wsError.message });
       }
@@ -481,6 +294,10 @@ function startServer(port) {
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
         logger.error(`Port ${port} is already in use. Please check if another instance is running.`);
+        // A host may launch several stdio instances; only the first can own the HTTP port
+        if (process.env.ENABLE_STDIO === 'true') {
+          return;
+        }
         process.exit(1);
       } else {
         logger.error('Failed to start server:', { error: error.message });
@@ -493,5 +310,7 @@ function startServer(port) {
   }
 }
 
-// Start the server
-startServer(port);
\ No newline at end of file
+// Decrypt the wallets before serving anything that could sign
+walletManager.load()
+  .catch(error => logger.error('Failed to load wallets:', { error: error.message }))
+  .finally(() => startServer(port));
\ No newline at end of file
@@ -0,0 +1,147 @@
+import monadService from '../services/monad.js';
+import blockPoller from '../services/blockPoller.js';
+import addressBook from '../services/addressBook.js';
+import { ErrorCodes, McpError } from './errors.js';
+import { listPrompts } from './prompts.js';
+import { listResourceTemplates } from './resources.js';
+import { compileTemplate } from './uriTemplate.js';
+
+// The protocol caps a completion response at 100 values
+const MAX_VALUES = 100;
+const MAX_SEEN_ADDRESSES = 200;
+const MAX_KNOWN_CONTRACTS = 100;
+
+// What kind of value each argument or template variable takes
+const ARGUMENT_KINDS = {
+  address: 'address',
+  account: 'address',
+  contractAddress: 'contract',
+  blockNumber: 'block',
+  number: 'block'
+};
+
+/**
+ * Collects candidate values for completion/complete: addresses seen in polled
+ * blocks, contracts looked up through BlockVision and the local address book.
+ */
+class CompletionSources {
+  constructor() {
+    // Most recently seen first; Map insertion order is used as recency order
+    this.seenAddresses = new Map();
+    this.knownContracts = new Map();
+  }
+
+  touch(map, address, value, limit) {
+    const key = address.toLowerCase();
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > limit) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  handleNewBlock(blockInfo, block) {
+    if (blockInfo.miner) {
+      this.touch(this.seenAddresses, blockInfo.miner, blockInfo.miner, MAX_SEEN_ADDRESSES);
+    }
+    (block?.transactions || []).forEach(tx => {
+      [tx.from, tx.to].filter(Boolean).forEach(address => {
+        this.touch(this.seenAddresses, address, address, MAX_SEEN_ADDRESSES);
+      });
+    });
+  }
+
+  handleContractSeen({ address, type }) {
+    this.touch(this.knownContracts, address, { address, type }, MAX_KNOWN_CONTRACTS);
+  }
+
+  recent(map) {
+    return Array.from(map.values()).reverse();
+  }
+
+  async candidates(kind, value) {
+    const prefix = value.toLowerCase();
+    const matchesAddress = (address) => address.toLowerCase().startsWith(prefix);
+
+    if (kind === 'block') {
+      return blockPoller.recentBlocks
+        .map(blockInfo => blockInfo.number)
+        .filter(number => number.startsWith(value));
+    }
+
+    // Address book entries match on their name as well as their address
+    const book = (await addressBook.entries())
+      .filter(entry => matchesAddress(entry.address) || entry.name.toLowerCase().startsWith(prefix))
+      .map(entry => entry.address);
+    const contracts = this.recent(this.knownContracts)
+      .map(contract => contract.address)
+      .filter(matchesAddress);
+    const seen = kind === 'address'
+      ? this.recent(this.seenAddresses).filter(matchesAddress)
+      : [];
+
+    const unique = new Map();
+    [...book, ...contracts, ...seen].forEach(address => {
+      if (!unique.has(address.toLowerCase())) {
+        unique.set(address.toLowerCase(), address);
+      }
+    });
+    return Array.from(unique.values());
+  }
+}
+
+// Resolve the argument kind for a completion reference, or throw for unknown references
+const argumentKind = (ref, argumentName) => {
+  if (ref?.type === 'ref/prompt') {
+    const prompt = listPrompts().find(candidate => candidate.name === ref.name);
+    if (!prompt) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${ref.name}`);
+    }
+    return prompt.arguments.some(argument => argument.name === argumentName)
+      ? ARGUMENT_KINDS[argumentName]
+      : null;
+  }
+
+  if (ref?.type === 'ref/resource') {
+    const template = listResourceTemplates().find(candidate => candidate.uriTemplate === ref.uri);
+    if (!template) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown resource template: ${ref.uri}`);
+    }
+    if (!compileTemplate(template.uriTemplate).variables.includes(argumentName)) {
+      return null;
+    }
+    // The contract source template only makes sense for contracts
+    return template.uriTemplate.startsWith('monad://contract/') ? 'contract' : ARGUMENT_KINDS[argumentName];
+  }
+
+  throw new McpError(ErrorCodes.INVALID_PARAMS, 'ref must be a ref/prompt or ref/resource reference');
+};
+
+export const registerCompletions = (server) => {
+  const sources = new CompletionSources();
+
+  server.addCapability('completions', {});
+
+  server.registerMethod('completion/complete', async (params) => {
+    const { ref, argument } = params;
+    if (typeof argument?.name !== 'string') {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: argument.name');
+    }
+
+    const kind = argumentKind(ref, argument.name);
+    const values = kind ? await sources.candidates(kind, String(argument.value ?? '')) : [];
+
+    return {
+      completion: {
+        values: values.slice(0, MAX_VALUES),
+        total: values.length,
+        hasMore: values.length > MAX_VALUES
+      }
+    };
+  });
+
+  blockPoller.on('newBlock', (blockInfo, block) => sources.handleNewBlock(blockInfo, block));
+  monadService.on('contractSeen', (contract) => sources.handleContractSeen(contract));
+
+  return sources;
+};
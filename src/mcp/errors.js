@@ -0,0 +1,19 @@
+export const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000,
+  RESOURCE_NOT_FOUND: -32002,
+  REQUEST_CANCELLED: -32800
+};
+
+export class McpError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * JSON.stringify that tolerates the bigint values web3 hands back
+ */
+export const toJson = (value) => JSON.stringify(
+  value,
+  (key, item) => (typeof item === 'bigint' ? item.toString() : item),
+  2
+);
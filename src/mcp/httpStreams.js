@@ -0,0 +1,111 @@
+import { writeEvent } from './sse.js';
+import logger from '../utils/logger.js';
+
+export const STANDALONE_STREAM = 'standalone';
+
+const EVENT_BUFFER_SIZE = parseInt(process.env.MCP_EVENT_BUFFER_SIZE || '500');
+
+/**
+ * Server-to-client streams of one Streamable HTTP session.
+ *
+ * Every message is written to a named stream: the standalone stream opened by
+ * GET /mcp, or the stream of a POST request answered as SSE. Messages are kept in
+ * a bounded buffer with ids of the form `<stream>:<sequence>` so a client can
+ * reconnect with Last-Event-ID and receive what it missed on that stream.
+ */
+class SessionStreams {
+  constructor(session) {
+    this.session = session;
+    this.sequence = 0;
+    this.requestCounter = 0;
+    this.events = [];
+    this.connections = new Map();
+    this.finished = new Set();
+
+    // Notifications not tied to a request go to the standalone stream
+    session.on('message', (message) => this.write(STANDALONE_STREAM, message));
+    session.once('close', () => this.closeAll());
+  }
+
+  get isConnected() {
+    return this.connections.size > 0;
+  }
+
+  nextRequestStream() {
+    this.requestCounter += 1;
+    return `request-${this.requestCounter}`;
+  }
+
+  write(streamId, message) {
+    this.sequence += 1;
+    const event = { id: `${streamId}:${this.sequence}`, streamId, sequence: this.sequence, message };
+
+    this.events.push(event);
+    if (this.events.length > EVENT_BUFFER_SIZE) {
+      this.events.splice(0, this.events.length - EVENT_BUFFER_SIZE);
+    }
+
+    const res = this.connections.get(streamId);
+    if (res) {
+      writeEvent(res, { id: event.id, event: 'message', data: message });
+    }
+  }
+
+  attach(streamId, res) {
+    const previous = this.connections.get(streamId);
+    if (previous && previous !== res) {
+      previous.end();
+    }
+    this.connections.set(streamId, res);
+    res.on('close', () => {
+      if (this.connections.get(streamId) === res) {
+        this.connections.delete(streamId);
+      }
+    });
+  }
+
+  /**
+   * Mark a request stream complete: its response has been written, so the
+   * connection can be ended and a later resume only needs to replay.
+   */
+  finish(streamId) {
+    this.finished.add(streamId);
+    const res = this.connections.get(streamId);
+    this.connections.delete(streamId);
+    if (res) {
+      res.end();
+    }
+  }
+
+  /**
+   * Reconnect to the stream named in a Last-Event-ID and replay what followed it.
+   * Returns false when the id does not belong to this session's buffer.
+   */
+  resume(lastEventId, res) {
+    const separator = lastEventId.lastIndexOf(':');
+    const streamId = lastEventId.slice(0, separator);
+    const sequence = parseInt(lastEventId.slice(separator + 1));
+    if (separator < 0 || !streamId || Number.isNaN(sequence)) {
+      return false;
+    }
+
+    const missed = this.events.filter(event => event.streamId === streamId && event.sequence > sequence);
+    logger.info('Resuming MCP stream:', { sessionId: this.session.id, streamId, replayed: missed.length });
+
+    missed.forEach(event => writeEvent(res, { id: event.id, event: 'message', data: event.message }));
+
+    if (this.finished.has(streamId)) {
+      res.end();
+    } else {
+      this.attach(streamId, res);
+    }
+    return true;
+  }
+
+  closeAll() {
+    this.connections.forEach(res => res.end());
+    this.connections.clear();
+  }
+}
+
+export default SessionStreams;
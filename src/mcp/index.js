@@ -0,0 +1,18 @@
+import McpServer from './server.js';
+import { registerTools } from './tools/index.js';
+import { registerResources } from './resources.js';
+import { registerSubscriptions } from './subscriptions.js';
+import { registerPrompts } from './prompts.js';
+import { registerLogging } from './logging.js';
+import { registerCompletions } from './completions.js';
+
+const mcpServer = new McpServer();
+
+registerTools(mcpServer);
+registerResources(mcpServer);
+registerSubscriptions(mcpServer);
+registerPrompts(mcpServer);
+registerLogging(mcpServer);
+registerCompletions(mcpServer);
+
+export default mcpServer;
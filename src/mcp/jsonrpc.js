@@ -0,0 +1,60 @@
+import logger from '../utils/logger.js';
+import { ErrorCodes } from './errors.js';
+
+export const errorResponse = (id, code, message) => ({
+  jsonrpc: '2.0',
+  id: id ?? null,
+  error: { code, message }
+});
+
+const isValidId = (id) => typeof id === 'string' || typeof id === 'number' || id === null;
+
+export const isValidMessage = (message) =>
+  Boolean(message) &&
+  typeof message === 'object' &&
+  message.jsonrpc === '2.0' &&
+  typeof message.method === 'string' &&
+  (!('id' in message) || isValidId(message.id));
+
+export const invalidRequest = (message) =>
+  errorResponse(isValidId(message?.id) ? message.id : null, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+
+export const isRequest = (message) => Boolean(message) && typeof message === 'object' && 'id' in message;
+
+/**
+ * Whether a payload (single message or batch) expects any response at all
+ */
+export const hasRequests = (payload) =>
+  Array.isArray(payload) ? payload.some(isRequest) : isRequest(payload);
+
+const processOne = async (server, session, message, options) => {
+  if (!isValidMessage(message)) {
+    return invalidRequest(message);
+  }
+
+  try {
+    return await server.handleMessage(session, message, options);
+  } catch (error) {
+    logger.error('Error handling MCP message:', { method: message.method, error: error.message });
+    return 'id' in message ? errorResponse(message.id, ErrorCodes.SERVER_ERROR, 'Server error') : null;
+  }
+};
+
+/**
+ * Handle a parsed JSON-RPC payload. Batches are processed concurrently and
+ * answered in request order with notifications left out. Returns null when
+ * there is nothing to send back.
+ */
+export const processPayload = async (server, session, payload, options = {}) => {
+  if (!Array.isArray(payload)) {
+    return processOne(server, session, payload, options);
+  }
+
+  if (payload.length === 0) {
+    return errorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const responses = await Promise.all(payload.map(message => processOne(server, session, message, options)));
+  const answered = responses.filter(Boolean);
+  return answered.length ? answered : null;
+};
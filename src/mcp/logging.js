@@ -0,0 +1,100 @@
+import winston from 'winston';
+import logger from '../utils/logger.js';
+import { redact } from '../utils/redact.js';
+import { ErrorCodes, McpError } from './errors.js';
+
+// MCP log levels (RFC 5424 severities), least to most severe
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Lowest winston level a session transport accepts for each MCP level
+const WINSTON_THRESHOLDS = {
+  debug: 'debug',
+  info: 'info',
+  notice: 'warn',
+  warning: 'warn',
+  error: 'error',
+  critical: 'error',
+  alert: 'error',
+  emergency: 'error'
+};
+
+// MCP level reported for each winston level
+const MCP_LEVELS = {
+  error: 'error',
+  warn: 'warning',
+  info: 'info',
+  http: 'debug',
+  verbose: 'debug',
+  debug: 'debug',
+  silly: 'debug'
+};
+
+const OMITTED_FIELDS = ['level', 'service', 'global'];
+
+/**
+ * Winston transport that forwards log entries to one MCP session as
+ * notifications/message. Only entries tagged with the session's id, or marked
+ * `global` as concerning every session, are forwarded.
+ */
+class SessionLogTransport extends winston.Transport {
+  constructor(session, level) {
+    super({ level: WINSTON_THRESHOLDS[level] });
+    this.session = session;
+    this.sending = false;
+  }
+
+  log(info, callback) {
+    const ours = info.sessionId === this.session.id || info.global === true;
+    // Guard against transports that log while delivering a notification
+    if (this.sending || !ours) {
+      callback();
+      return;
+    }
+
+    const data = Object.fromEntries(
+      Object.entries(info).filter(([key]) => !OMITTED_FIELDS.includes(key))
+    );
+
+    this.sending = true;
+    try {
+      this.session.notify('notifications/message', {
+        level: MCP_LEVELS[info.level] || 'info',
+        logger: info.service || 'mcp-server',
+        data: redact(data)
+      });
+    } finally {
+      this.sending = false;
+    }
+    callback();
+  }
+}
+
+export const registerLogging = (server) => {
+  const transports = new Map();
+
+  const detach = (session) => {
+    const transport = transports.get(session.id);
+    if (transport) {
+      logger.remove(transport);
+      transports.delete(session.id);
+    }
+  };
+
+  server.addCapability('logging', {});
+
+  server.registerMethod('logging/setLevel', async (params, { session }) => {
+    if (!LOG_LEVELS.includes(params.level)) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, `Invalid log level: ${params.level}`, { levels: LOG_LEVELS });
+    }
+
+    detach(session);
+    const transport = new SessionLogTransport(session, params.level);
+    transports.set(session.id, transport);
+    logger.add(transport);
+
+    logger.info('MCP log level set:', { sessionId: session.id, level: params.level });
+    return {};
+  });
+
+  server.on('sessionClosed', detach);
+};
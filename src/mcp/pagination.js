@@ -0,0 +1,32 @@
+import { ErrorCodes, McpError } from './errors.js';
+
+export const PAGE_SIZE = parseInt(process.env.MCP_PAGE_SIZE || '25');
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // fall through to the invalid cursor error
+  }
+  throw new McpError(ErrorCodes.INVALID_PARAMS, 'Invalid cursor');
+};
+
+/**
+ * Slice a list for an MCP list method. Cursors are opaque to clients and only
+ * encode the offset of the next page.
+ */
+export const paginate = (items, cursor, pageSize = PAGE_SIZE) => {
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  const page = items.slice(offset, offset + pageSize);
+  const nextOffset = offset + page.length;
+
+  return {
+    items: page,
+    nextCursor: nextOffset < items.length ? encodeCursor(nextOffset) : undefined
+  };
+};
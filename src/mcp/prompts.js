@@ -0,0 +1,167 @@
+import { ethers } from 'ethers';
+import monadService from '../services/monad.js';
+import logger from '../utils/logger.js';
+import { ErrorCodes, McpError } from './errors.js';
+import { paginate } from './pagination.js';
+import { readResource } from './resources.js';
+import { toJson } from './format.js';
+
+const userText = (text) => ({
+  role: 'user',
+  content: { type: 'text', text }
+});
+
+/**
+ * Embed a resource in a prompt message. A resource that fails to load is
+ * replaced by a note so the rest of the prompt is still usable.
+ */
+const embedResource = async (uri) => {
+  try {
+    const { contents } = await readResource(uri);
+    return {
+      role: 'user',
+      content: { type: 'resource', resource: contents[0] }
+    };
+  } catch (error) {
+    logger.warn('Failed to embed resource in prompt:', { uri, error: error.message });
+    return userText(`(Could not load ${uri}: ${error.message})`);
+  }
+};
+
+const requireAddress = (args, name) => {
+  if (!ethers.isAddress(args[name])) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Invalid address for argument: ${name}`);
+  }
+  return args[name];
+};
+
+const prompts = [
+  {
+    name: 'audit_wallet',
+    description: 'Audit a wallet: native balance, token holdings and anything that looks unusual.',
+    arguments: [
+      { name: 'address', description: 'The wallet address to audit', required: true }
+    ],
+    build: async (args) => {
+      const address = requireAddress(args, 'address');
+      return {
+        description: `Audit of wallet ${address}`,
+        messages: [
+          userText(`Audit the Monad testnet wallet ${address}. Summarize its native MON balance and token holdings, ` +
+            'flag dust or suspicious tokens, and point out anything that deserves a closer look. ' +
+            'Use the get_account_transactions and get_account_activities tools if recent history is needed.'),
+          await embedResource(`monad://account/${address}/balance`),
+          await embedResource(`monad://account/${address}/tokens`)
+        ]
+      };
+    }
+  },
+  {
+    name: 'explain_block',
+    description: 'Explain what happened in a block in plain language.',
+    arguments: [
+      { name: 'blockNumber', description: 'The block number to explain (defaults to the latest block)', required: false }
+    ],
+    build: async (args) => {
+      if (args.blockNumber !== undefined && !/^\d+$/.test(String(args.blockNumber))) {
+        throw new McpError(ErrorCodes.INVALID_PARAMS, 'Invalid block number for argument: blockNumber');
+      }
+      const blockNumber = args.blockNumber !== undefined
+        ? String(args.blockNumber)
+        : await monadService.getLatestBlockNumber();
+
+      return {
+        description: `Explanation of block ${blockNumber}`,
+        messages: [
+          userText(`Explain block ${blockNumber} on Monad testnet in plain language: how busy it was, ` +
+            'who the main senders and receivers were, how much value moved and how gas was spent.'),
+          await embedResource(`monad://block/${blockNumber}`)
+        ]
+      };
+    }
+  },
+  {
+    name: 'summarize_contract',
+    description: 'Summarize a verified contract\'s source: purpose, entry points, privileged roles and risks.',
+    arguments: [
+      { name: 'address', description: 'The contract address', required: true }
+    ],
+    build: async (args) => {
+      const address = requireAddress(args, 'address');
+      return {
+        description: `Summary of contract ${address}`,
+        messages: [
+          userText(`Summarize the contract deployed at ${address}. Describe what it does, list its external ` +
+            'functions, identify privileged roles (owner, admin, minter) and call out any risky patterns.'),
+          await embedResource(`monad://contract/${address}/source`)
+        ]
+      };
+    }
+  },
+  {
+    name: 'check_token_gating',
+    description: 'Check whether an account can access content gated by a token or collection contract.',
+    arguments: [
+      { name: 'account', description: 'The account requesting access', required: true },
+      { name: 'contractAddress', description: 'The token or collection contract that gates access', required: true }
+    ],
+    build: async (args) => {
+      const account = requireAddress(args, 'account');
+      const contractAddress = requireAddress(args, 'contractAddress');
+
+      let gating;
+      try {
+        gating = toJson(await monadService.getTokenGating(account, contractAddress));
+      } catch (error) {
+        gating = `(Token gating lookup failed: ${error.message})`;
+      }
+
+      return {
+        description: `Token gating check for ${account}`,
+        messages: [
+          userText(`Decide whether ${account} should be granted access gated by ${contractAddress}. ` +
+            'Explain the decision using the token gating result and the account\'s holdings below.'),
+          userText(`Token gating result:\n${gating}`),
+          await embedResource(`monad://account/${account}/tokens`)
+        ]
+      };
+    }
+  }
+];
+
+export const listPrompts = () => prompts.map(({ build, ...descriptor }) => descriptor);
+
+export const getPrompt = async (name, args = {}) => {
+  const prompt = prompts.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments
+    .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+    .map(argument => argument.name);
+  if (missing.length) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Missing required arguments: ${missing.join(', ')}`);
+  }
+
+  return prompt.build(args);
+};
+
+export const registerPrompts = (server) => {
+  server.addCapability('prompts', { listChanged: false });
+
+  server.registerMethod('prompts/list', async (params) => {
+    const { items, nextCursor } = paginate(listPrompts(), params.cursor);
+    return {
+      prompts: items,
+      ...(nextCursor && { nextCursor })
+    };
+  });
+
+  server.registerMethod('prompts/get', async (params) => {
+    if (typeof params.name !== 'string') {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: name');
+    }
+    return getPrompt(params.name, params.arguments || {});
+  });
+};
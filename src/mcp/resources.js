@@ -0,0 +1,186 @@
+import { ethers } from 'ethers';
+import monadService from '../services/monad.js';
+import blockPoller from '../services/blockPoller.js';
+import txTracker from '../services/txTracker.js';
+import { ErrorCodes, McpError } from './errors.js';
+import { paginate } from './pagination.js';
+import { compileTemplate } from './uriTemplate.js';
+import { toJson } from './format.js';
+
+const JSON_MIME = 'application/json';
+
+const requireAddress = (address) => {
+  if (!ethers.isAddress(address)) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Invalid address: ${address}`);
+  }
+  return address;
+};
+
+const requireBlockNumber = (number) => {
+  if (!/^\d+$/.test(number)) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Invalid block number: ${number}`);
+  }
+  return number;
+};
+
+const readTransaction = async (hash) => {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Invalid transaction hash: ${hash}`);
+  }
+  const status = await txTracker.getStatus(hash);
+  if (!status) {
+    throw new McpError(ErrorCodes.RESOURCE_NOT_FOUND, `Transaction ${hash} not found`);
+  }
+  return status;
+};
+
+const readBlock = async (number) => {
+  try {
+    return await monadService.analyzeBlock(number);
+  } catch (error) {
+    if (error.message === 'Block not found') {
+      throw new McpError(ErrorCodes.RESOURCE_NOT_FOUND, `Block ${number} not found`);
+    }
+    throw error;
+  }
+};
+
+// Fixed resources, listed by resources/list
+const staticResources = [
+  {
+    uri: 'monad://greeting',
+    name: 'greeting',
+    description: 'The greeting currently stored in the greeting contract',
+    mimeType: JSON_MIME,
+    read: async () => ({
+      contract: monadService.contract.options.address,
+      greeting: (await monadService.getData()) || ''
+    })
+  },
+  {
+    uri: 'monad://block/latest',
+    name: 'latest-block',
+    description: 'Analysis of the most recent block',
+    mimeType: JSON_MIME,
+    read: async () => readBlock(await monadService.getLatestBlockNumber())
+  }
+];
+
+// Parameterized resources, listed by resources/templates/list
+const templateResources = [
+  {
+    uriTemplate: 'monad://block/{number}',
+    name: 'block',
+    description: 'Analysis of a block: timestamp, gas used and its transactions',
+    mimeType: JSON_MIME,
+    read: ({ number }) => readBlock(requireBlockNumber(number))
+  },
+  {
+    uriTemplate: 'monad://account/{address}/balance',
+    name: 'account-balance',
+    description: 'Native MON balance of an account',
+    mimeType: JSON_MIME,
+    read: ({ address }) => monadService.getBalance(requireAddress(address))
+  },
+  {
+    uriTemplate: 'monad://account/{address}/tokens',
+    name: 'account-tokens',
+    description: 'Tokens held by an account (BlockVision)',
+    mimeType: JSON_MIME,
+    read: ({ address }) => monadService.getAccountTokens(requireAddress(address))
+  },
+  {
+    uriTemplate: 'monad://tx/{hash}',
+    name: 'transaction',
+    description: 'Lifecycle status of a transaction: pending, mined, confirmed, failed, dropped or replaced',
+    mimeType: JSON_MIME,
+    read: ({ hash }) => readTransaction(hash)
+  },
+  {
+    uriTemplate: 'monad://contract/{address}/source',
+    name: 'contract-source',
+    description: 'Verified source code of a contract (BlockVision)',
+    mimeType: JSON_MIME,
+    read: ({ address }) => monadService.getContractSourceCode(requireAddress(address))
+  }
+].map(resource => ({ ...resource, compiled: compileTemplate(resource.uriTemplate) }));
+
+const describe = ({ read, compiled, ...descriptor }) => descriptor;
+
+/**
+ * Find the resource behind a URI: fixed URIs win over templates, so
+ * monad://block/latest never reaches the {number} template.
+ */
+export const resolveResource = (uri) => {
+  const fixed = staticResources.find(resource => resource.uri === uri);
+  if (fixed) {
+    return { resource: fixed, vars: {} };
+  }
+
+  for (const resource of templateResources) {
+    const vars = resource.compiled.match(uri);
+    if (vars) {
+      return { resource, vars };
+    }
+  }
+
+  return null;
+};
+
+export const readResource = async (uri) => {
+  const resolved = resolveResource(uri);
+  if (!resolved) {
+    throw new McpError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+  }
+
+  const data = await resolved.resource.read(resolved.vars);
+  return {
+    contents: [{
+      uri,
+      mimeType: resolved.resource.mimeType,
+      text: toJson(data)
+    }]
+  };
+};
+
+// Blocks seen by the poller are listed individually, newest first
+const recentBlockResources = () => blockPoller.recentBlocks.map(blockInfo => ({
+  uri: `monad://block/${blockInfo.number}`,
+  name: `block-${blockInfo.number}`,
+  description: `Block ${blockInfo.number} with ${blockInfo.transactionCount} transactions`,
+  mimeType: JSON_MIME
+}));
+
+export const listResources = () => [
+  ...staticResources.map(describe),
+  ...recentBlockResources()
+];
+
+export const listResourceTemplates = () => templateResources.map(describe);
+
+export const registerResources = (server) => {
+  server.addCapability('resources', { listChanged: true });
+
+  server.registerMethod('resources/list', async (params) => {
+    const { items, nextCursor } = paginate(listResources(), params.cursor);
+    return {
+      resources: items,
+      ...(nextCursor && { nextCursor })
+    };
+  });
+
+  server.registerMethod('resources/templates/list', async (params) => {
+    const { items, nextCursor } = paginate(listResourceTemplates(), params.cursor);
+    return {
+      resourceTemplates: items,
+      ...(nextCursor && { nextCursor })
+    };
+  });
+
+  server.registerMethod('resources/read', async (params) => {
+    if (typeof params.uri !== 'string') {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: uri');
+    }
+    return readResource(params.uri);
+  });
+};
@@ -0,0 +1,113 @@
+import { FEE_STRATEGIES } from '../services/feeOracle.js';
+
+// Minimal JSON Schema checks for tool and prompt arguments. Covers the subset our
+// definitions use: type (single or list), required, enum, pattern, minimum, maximum.
+
+export const addressSchema = (description) => ({
+  type: 'string',
+  pattern: '^0x[a-fA-F0-9]{40}$',
+  description
+});
+
+export const blockNumberSchema = (description) => ({
+  type: ['string', 'integer'],
+  pattern: '^\\d+$',
+  minimum: 0,
+  description
+});
+
+export const feeStrategySchema = (description) => ({
+  type: 'string',
+  enum: Object.keys(FEE_STRATEGIES),
+  description
+});
+
+export const weiSchema = (description) => ({
+  type: ['string', 'integer'],
+  pattern: '^\\d+$',
+  minimum: 0,
+  description
+});
+
+export const hexDataSchema = (description) => ({
+  type: 'string',
+  pattern: '^0x([0-9a-fA-F]{2})*$',
+  description
+});
+
+export const walletSchema = (description) => ({
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]+$',
+  description
+});
+
+export const dryRunSchema = {
+  type: 'boolean',
+  default: false,
+  description: 'Simulate against the pending state and return the result instead of sending'
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+const validateValue = (name, value, schema) => {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    return `${name} must be of type ${types.join(' or ')}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${name} must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    return `${name} has an invalid format`;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${name} must be >= ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${name} must be <= ${schema.maximum}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns a list of human-readable problems; empty when the arguments conform
+ */
+export const validateArguments = (schema, args = {}) => {
+  if (!matchesType(args, 'object')) {
+    return ['arguments must be an object'];
+  }
+
+  const errors = [];
+  (schema.required || []).forEach(name => {
+    if (args[name] === undefined || args[name] === null) {
+      errors.push(`Missing required argument: ${name}`);
+    }
+  });
+
+  Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+    if (args[name] === undefined || args[name] === null) return;
+    const error = validateValue(name, args[name], propertySchema);
+    if (error) errors.push(error);
+  });
+
+  return errors;
+};
@@ -0,0 +1,284 @@
+import EventEmitter from 'events';
+import logger, { logContext } from '../utils/logger.js';
+import monadService from '../services/monad.js';
+import McpSession, { SessionState } from './session.js';
+import { ErrorCodes, McpError } from './errors.js';
+
+// Newest first; the first entry is offered when the client asks for a version we don't speak
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+class McpServer extends EventEmitter {
+  constructor() {
+    super();
+    this.serverInfo = {
+      name: 'pikimon-mcp-server',
+      version: '2.0.0'
+    };
+    this.instructions = 'Monad testnet tools: block analysis, balances, BlockVision account data and the greeting contract.';
+    this.capabilities = {};
+    this.sessions = new Map();
+    this.methods = new Map();
+    this.notificationHandlers = new Map();
+
+    this.registerLifecycle();
+    this.registerLegacyMethods();
+  }
+
+  /**
+   * Register a JSON-RPC request handler. Handlers receive (params, context) where
+   * context carries the calling session, the raw request, an AbortSignal that fires
+   * on notifications/cancelled, and progress(progress, total, message).
+   */
+  registerMethod(method, handler, { allowBeforeInit = false } = {}) {
+    this.methods.set(method, { handler, allowBeforeInit });
+  }
+
+  registerNotification(method, handler) {
+    this.notificationHandlers.set(method, handler);
+  }
+
+  /**
+   * Merge a capability block into what we advertise during initialize
+   */
+  addCapability(name, value = {}) {
+    this.capabilities[name] = { ...(this.capabilities[name] || {}), ...value };
+  }
+
+  createSession(transport) {
+    const session = new McpSession(transport);
+    this.sessions.set(session.id, session);
+    session.once('close', () => {
+      this.sessions.delete(session.id);
+      this.emit('sessionClosed', session);
+      logger.info('MCP session closed:', { sessionId: session.id, transport: session.transport });
+    });
+    logger.info('MCP session created:', { sessionId: session.id, transport });
+    return session;
+  }
+
+  getSession(id) {
+    return id ? this.sessions.get(id) : undefined;
+  }
+
+  closeSession(id) {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.close();
+    }
+    return Boolean(session);
+  }
+
+  /**
+   * Notify every ready session, optionally filtered by a predicate
+   */
+  broadcast(method, params, filter = () => true) {
+    this.sessions.forEach(session => {
+      if (session.isReady && filter(session)) {
+        session.notify(method, params);
+      }
+    });
+  }
+
+  /**
+   * Process one JSON-RPC message for a session. Returns the response object,
+   * or null when the message was a notification.
+   *
+   * Transports may pass `notify` to route notifications raised while handling a
+   * request (progress, logs) to the stream that carries its response.
+   */
+  async handleMessage(session, message, { notify } = {}) {
+    session.touch();
+
+    if (!('id' in message)) {
+      await this.handleNotification(session, message);
+      return null;
+    }
+
+    const send = notify || ((method, params) => session.notify(method, params));
+    const progressToken = message.params?._meta?.progressToken;
+    const controller = new AbortController();
+    session.inFlight.set(message.id, controller);
+
+    try {
+      // Everything logged while handling the request is tagged with its session
+      const result = await logContext.run({ sessionId: session.id }, () => this.dispatch(session, message, {
+        notify: send,
+        signal: controller.signal,
+        // Reports progress only when the client asked for it with a progress token
+        progress: (progress, total, progressMessage) => {
+          if (progressToken === undefined || controller.signal.aborted) return;
+          send('notifications/progress', {
+            progressToken,
+            progress,
+            ...(total !== undefined && { total }),
+            ...(progressMessage && { message: progressMessage })
+          });
+        }
+      }));
+      // A cancelled request gets no response at all, whatever the handler ended with
+      return controller.signal.aborted ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return null;
+      }
+      return this.errorResponse(message.id, error);
+    } finally {
+      if (session.inFlight.get(message.id) === controller) {
+        session.inFlight.delete(message.id);
+      }
+    }
+  }
+
+  async dispatch(session, request, { notify, signal, progress }) {
+    const entry = this.methods.get(request.method);
+    if (!entry) {
+      throw new McpError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+    }
+
+    if (!entry.allowBeforeInit && !session.isReady) {
+      throw new McpError(ErrorCodes.INVALID_REQUEST, 'Server not initialized');
+    }
+
+    // MCP only uses named parameters
+    if (request.params !== undefined && (request.params === null || typeof request.params !== 'object' || Array.isArray(request.params))) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, 'params must be an object');
+    }
+
+    return entry.handler(request.params || {}, { session, request, notify, signal, progress });
+  }
+
+  /**
+   * Close sessions of a transport that have been idle for longer than maxIdle,
+   * skipping any the transport still considers connected.
+   */
+  reapIdleSessions(transport, maxIdle, isConnected = () => false) {
+    const cutoff = Date.now() - maxIdle;
+    this.sessions.forEach(session => {
+      if (session.transport === transport && session.lastActivity < cutoff && !isConnected(session)) {
+        logger.info('Closing idle MCP session:', { sessionId: session.id, transport });
+        session.close();
+      }
+    });
+  }
+
+  async handleNotification(session, notification) {
+    const handler = this.notificationHandlers.get(notification.method);
+    if (!handler) {
+      logger.debug('Ignoring unknown MCP notification:', { method: notification.method });
+      return;
+    }
+
+    try {
+      await handler(notification.params || {}, { session, notification });
+    } catch (error) {
+      logger.error('Error handling MCP notification:', {
+        method: notification.method,
+        error: error.message
+      });
+    }
+  }
+
+  errorResponse(id, error) {
+    if (error instanceof McpError) {
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.data !== undefined && { data: error.data })
+        }
+      };
+    }
+
+    logger.error('Error handling MCP request:', { error: error.message });
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: ErrorCodes.SERVER_ERROR,
+        message: 'Server error'
+      }
+    };
+  }
+
+  registerLifecycle() {
+    this.registerMethod('initialize', async (params, { session }) => {
+      if (session.state !== SessionState.NEW) {
+        throw new McpError(ErrorCodes.INVALID_REQUEST, 'Session already initialized');
+      }
+      if (typeof params.protocolVersion !== 'string') {
+        throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: protocolVersion');
+      }
+
+      const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+        ? params.protocolVersion
+        : LATEST_PROTOCOL_VERSION;
+
+      session.protocolVersion = protocolVersion;
+      session.clientInfo = params.clientInfo || null;
+      session.clientCapabilities = params.capabilities || {};
+      session.state = SessionState.INITIALIZING;
+
+      logger.info('MCP session initializing:', {
+        sessionId: session.id,
+        requestedVersion: params.protocolVersion,
+        protocolVersion,
+        client: session.clientInfo?.name
+      });
+
+      return {
+        protocolVersion,
+        capabilities: this.capabilities,
+        serverInfo: this.serverInfo,
+        instructions: this.instructions
+      };
+    }, { allowBeforeInit: true });
+
+    this.registerNotification('notifications/initialized', async (params, { session }) => {
+      if (session.state !== SessionState.INITIALIZING) {
+        logger.warn('Unexpected initialized notification:', { sessionId: session.id, state: session.state });
+        return;
+      }
+      session.state = SessionState.READY;
+      session.readyAt = Date.now();
+      this.emit('sessionReady', session);
+      logger.info('MCP session ready:', { sessionId: session.id });
+    });
+
+    this.registerNotification('notifications/cancelled', async (params, { session }) => {
+      const controller = session.inFlight.get(params.requestId);
+      if (!controller) return;
+
+      logger.info('MCP request cancelled by client:', {
+        sessionId: session.id,
+        requestId: params.requestId,
+        reason: params.reason
+      });
+      controller.abort(new Error(params.reason || 'Request cancelled'));
+    });
+
+    this.registerMethod('ping', async () => ({}), { allowBeforeInit: true });
+
+    this.registerMethod('shutdown', async (params, { session }) => {
+      // Close after the response has been handed back to the transport
+      setImmediate(() => session.close());
+      return {};
+    }, { allowBeforeInit: true });
+  }
+
+  registerLegacyMethods() {
+    this.registerMethod('block/latest', async () => {
+      const blockNumber = await monadService.getLatestBlockNumber();
+      return { blockNumber: blockNumber.toString() };
+    });
+
+    this.registerMethod('greeting/get', async () => {
+      const greeting = await monadService.getData();
+      return { greeting: greeting || '' };
+    });
+  }
+}
+
+export default McpServer;
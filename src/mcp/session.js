@@ -0,0 +1,60 @@
+import EventEmitter from 'events';
+import crypto from 'crypto';
+
+export const SessionState = {
+  NEW: 'new',
+  INITIALIZING: 'initializing',
+  READY: 'ready',
+  CLOSED: 'closed'
+};
+
+class McpSession extends EventEmitter {
+  constructor(transport = 'http') {
+    super();
+    this.id = crypto.randomUUID();
+    this.transport = transport;
+    this.state = SessionState.NEW;
+    this.protocolVersion = null;
+    this.clientInfo = null;
+    this.clientCapabilities = {};
+    this.createdAt = Date.now();
+    this.lastActivity = this.createdAt;
+    this.readyAt = null;
+    this.subscriptions = new Set();
+    // AbortControllers of requests still being handled, by request id
+    this.inFlight = new Map();
+  }
+
+  get isReady() {
+    return this.state === SessionState.READY;
+  }
+
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  // Server-to-client messages are handed to whichever transport owns the session
+  send(message) {
+    if (this.state === SessionState.CLOSED) return;
+    this.emit('message', message);
+  }
+
+  notify(method, params) {
+    this.send({
+      jsonrpc: '2.0',
+      method,
+      ...(params !== undefined && { params })
+    });
+  }
+
+  close() {
+    if (this.state === SessionState.CLOSED) return;
+    this.state = SessionState.CLOSED;
+    this.inFlight.forEach(controller => controller.abort(new Error('Session closed')));
+    this.inFlight.clear();
+    this.emit('close');
+    this.removeAllListeners();
+  }
+}
+
+export default McpSession;
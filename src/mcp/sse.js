@@ -0,0 +1,28 @@
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'Access-Control-Allow-Origin': '*'
+};
+
+/**
+ * Write one server-sent event. Data is JSON-encoded unless it is already a string.
+ */
+export const writeEvent = (res, { event, id, data }) => {
+  let frame = '';
+  if (id !== undefined) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  payload.split('\n').forEach(line => {
+    frame += `data: ${line}\n`;
+  });
+  res.write(`${frame}\n`);
+};
+
+/**
+ * Comment frames keep proxies from closing idle streams. Returns a stop function.
+ */
+export const startHeartbeat = (res, interval = 30000) => {
+  const timer = setInterval(() => res.write(': ping\n\n'), interval);
+  return () => clearInterval(timer);
+};
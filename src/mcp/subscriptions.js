@@ -0,0 +1,161 @@
+import monadService from '../services/monad.js';
+import blockPoller from '../services/blockPoller.js';
+import txTracker from '../services/txTracker.js';
+import logger from '../utils/logger.js';
+import { ErrorCodes, McpError } from './errors.js';
+import { resolveResource } from './resources.js';
+
+const GREETING_URI = 'monad://greeting';
+const LATEST_BLOCK_URI = 'monad://block/latest';
+const BALANCE_URI = /^monad:\/\/account\/(0x[a-fA-F0-9]{40})\/balance$/;
+
+/**
+ * Tracks resources/subscribe state per session and turns block poller, contract
+ * and transaction tracker events into notifications/resources/updated.
+ */
+class SubscriptionManager {
+  constructor(server) {
+    this.server = server;
+    // Last observed value per watched URI, so we only notify on real changes
+    this.snapshots = new Map();
+  }
+
+  subscribers(uri) {
+    return Array.from(this.server.sessions.values())
+      .filter(session => session.isReady && session.subscriptions.has(uri));
+  }
+
+  subscribedUris() {
+    const uris = new Set();
+    this.server.sessions.forEach(session => {
+      session.subscriptions.forEach(uri => uris.add(uri));
+    });
+    return uris;
+  }
+
+  notifyUpdated(uri) {
+    this.subscribers(uri).forEach(session => {
+      session.notify('notifications/resources/updated', { uri });
+    });
+  }
+
+  subscribe(session, uri) {
+    if (!resolveResource(uri)) {
+      throw new McpError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    session.subscriptions.add(uri);
+    logger.info('MCP resource subscribed:', { sessionId: session.id, uri });
+
+    // Seed the snapshot so the first change after subscribing is reported
+    if (!this.snapshots.has(uri)) {
+      const read = this.valueReader(uri);
+      if (read) {
+        this.checkChanged(uri, read);
+      }
+    }
+  }
+
+  // Reader for URIs whose changes we detect by comparing values between blocks
+  valueReader(uri) {
+    if (uri === GREETING_URI) {
+      return () => monadService.getData();
+    }
+    const balanceMatch = BALANCE_URI.exec(uri);
+    if (balanceMatch) {
+      return async () => (await monadService.getBalance(balanceMatch[1])).balance;
+    }
+    return null;
+  }
+
+  unsubscribe(session, uri) {
+    session.subscriptions.delete(uri);
+    if (!this.subscribedUris().has(uri)) {
+      this.snapshots.delete(uri);
+    }
+    logger.info('MCP resource unsubscribed:', { sessionId: session.id, uri });
+  }
+
+  async handleNewBlock(blockInfo) {
+    // New blocks show up in resources/list
+    this.server.broadcast('notifications/resources/list_changed');
+
+    const uris = this.subscribedUris();
+    if (uris.has(LATEST_BLOCK_URI)) {
+      this.notifyUpdated(LATEST_BLOCK_URI);
+    }
+
+    const blockUri = `monad://block/${blockInfo.number}`;
+    if (uris.has(blockUri)) {
+      this.notifyUpdated(blockUri);
+    }
+
+    const checks = [];
+    uris.forEach(uri => {
+      const read = this.valueReader(uri);
+      if (read) {
+        checks.push(this.checkChanged(uri, read));
+      }
+    });
+
+    await Promise.all(checks);
+  }
+
+  async checkChanged(uri, readValue) {
+    try {
+      const value = await readValue();
+      const previous = this.snapshots.get(uri);
+      this.snapshots.set(uri, value);
+
+      if (previous !== undefined && previous !== value) {
+        this.notifyUpdated(uri);
+      }
+    } catch (error) {
+      logger.warn('Failed to refresh subscribed resource:', { uri, error: error.message });
+    }
+  }
+
+  handleGreetingUpdated(eventData) {
+    this.snapshots.set(GREETING_URI, eventData.greeting);
+    this.notifyUpdated(GREETING_URI);
+  }
+}
+
+export const registerSubscriptions = (server) => {
+  const manager = new SubscriptionManager(server);
+
+  server.addCapability('resources', { subscribe: true, listChanged: true });
+
+  server.registerMethod('resources/subscribe', async (params, { session }) => {
+    if (typeof params.uri !== 'string') {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: uri');
+    }
+    manager.subscribe(session, params.uri);
+    return {};
+  });
+
+  server.registerMethod('resources/unsubscribe', async (params, { session }) => {
+    if (typeof params.uri !== 'string') {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: uri');
+    }
+    manager.unsubscribe(session, params.uri);
+    return {};
+  });
+
+  // Ready sessions keep the poller running so list_changed and updates can flow
+  server.on('sessionReady', () => blockPoller.acquire());
+  server.on('sessionClosed', (session) => {
+    if (session.readyAt) {
+      blockPoller.release();
+    }
+  });
+
+  blockPoller.on('newBlock', (blockInfo) => {
+    manager.handleNewBlock(blockInfo).catch(error => {
+      logger.error('Error dispatching MCP resource updates:', { error: error.message });
+    });
+  });
+  monadService.on('greetingUpdated', (eventData) => manager.handleGreetingUpdated(eventData));
+  txTracker.on('txUpdated', (record) => manager.notifyUpdated(`monad://tx/${record.hash}`));
+
+  return manager;
+};
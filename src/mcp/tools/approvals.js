@@ -0,0 +1,43 @@
+import approvalQueue, { ApprovalStatus } from '../../services/approvalQueue.js';
+
+const readOnly = { readOnlyHint: true, openWorldHint: false };
+
+// Agents can follow their queued writes but only an operator can decide on them
+export default [
+  {
+    name: 'get_approval',
+    description: 'Get a write queued for operator approval: its status (pending, approved, rejected, executed, ' +
+      'failed or expired), the operator\'s reason and, once executed, the result.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        approvalId: { type: 'string', description: 'The approvalId returned when the write was queued' }
+      },
+      required: ['approvalId']
+    },
+    annotations: readOnly,
+    handler: async ({ approvalId }) => {
+      const item = approvalQueue.get(approvalId);
+      if (!item) {
+        throw new Error(`Approval not found: ${approvalId}`);
+      }
+      return item;
+    }
+  },
+  {
+    name: 'list_approvals',
+    description: 'List writes queued for operator approval, newest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: Object.values(ApprovalStatus),
+          description: 'Only list items with this status'
+        }
+      }
+    },
+    annotations: readOnly,
+    handler: async ({ status }) => ({ approvals: approvalQueue.list({ status }) })
+  }
+];
@@ -0,0 +1,352 @@
+import monadService from '../../services/monad.js';
+import chainService from '../../services/chain.js';
+import signer from '../../services/signer.js';
+import feeOracle from '../../services/feeOracle.js';
+import txTracker from '../../services/txTracker.js';
+import { addressSchema, blockNumberSchema, feeStrategySchema, weiSchema, hexDataSchema, walletSchema, dryRunSchema } from '../schema.js';
+
+const readOnly = { readOnlyHint: true, openWorldHint: true };
+
+const pageIndexSchema = { type: 'integer', minimum: 1, default: 1, description: 'Page index for pagination' };
+const pageSizeSchema = { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Number of entries per page' };
+const limitSchema = { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Number of entries to retrieve' };
+
+export default [
+  {
+    name: 'get_latest_block',
+    description: 'Get the latest block number on Monad testnet.',
+    inputSchema: { type: 'object', properties: {} },
+    annotations: readOnly,
+    handler: async () => ({ blockNumber: await monadService.getLatestBlockNumber() })
+  },
+  {
+    name: 'analyze_block',
+    description: 'Analyze a block: timestamp, gas used and every transaction with its receipt gas usage.',
+    inputSchema: {
+      type: 'object',
+      properties: { blockNumber: blockNumberSchema('The block number to analyze') },
+      required: ['blockNumber']
+    },
+    annotations: readOnly,
+    handler: ({ blockNumber }, { signal, progress }) => monadService.analyzeBlock(blockNumber.toString(), {
+      signal,
+      onProgress: (fetched, total) => progress?.(fetched, total, `Fetched ${fetched}/${total} receipts`)
+    })
+  },
+  {
+    name: 'parallel_block_analysis',
+    description: 'Summarize the last three blocks, analyzed in parallel.',
+    inputSchema: { type: 'object', properties: {} },
+    annotations: readOnly,
+    handler: async (args, { signal, progress }) => {
+      const blocks = await chainService.parallelBlockAnalysis({
+        signal,
+        onProgress: (fetched, total) => progress?.(fetched, total, `Fetched ${fetched}/${total} receipts`)
+      });
+      return { analyzedBlocks: blocks.length, blocks };
+    }
+  },
+  {
+    name: 'get_balance',
+    description: 'Get the native MON balance of an address, in wei and MON.',
+    inputSchema: {
+      type: 'object',
+      properties: { address: addressSchema('The address to check') },
+      required: ['address']
+    },
+    annotations: readOnly,
+    handler: ({ address }) => monadService.getBalance(address)
+  },
+  {
+    name: 'get_greeting',
+    description: 'Read the greeting currently stored in the greeting contract.',
+    inputSchema: { type: 'object', properties: {} },
+    annotations: readOnly,
+    handler: async () => ({ greeting: (await monadService.getData()) || '' })
+  },
+  {
+    name: 'store_greeting',
+    description: 'Write a new greeting to the greeting contract from a server wallet. Spends gas. ' +
+      'Set dryRun to preview the write (revert reason, gas and state changes) without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        greeting: { type: 'string', description: 'The greeting value to store' },
+        wallet: walletSchema('Name of the wallet that signs (defaults to the default wallet)'),
+        from: addressSchema('Address of a loaded wallet to sign with, such as a derived account'),
+        feeStrategy: feeStrategySchema('Fee strategy (defaults to FEE_STRATEGY)'),
+        dryRun: dryRunSchema
+      },
+      required: ['greeting']
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    requiresApproval: true,
+    handler: ({ greeting, wallet, from, feeStrategy, dryRun }) =>
+      monadService.storeData(greeting, signer.resolveSender({ wallet, from }), { feeStrategy, dryRun })
+  },
+  {
+    name: 'execute_chain',
+    description: 'Store a greeting, read it back and analyze the gas usage of the block it landed in. Spends gas. ' +
+      'Set dryRun to preview the store step without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        value: { type: 'string', description: 'The greeting value to store and analyze' },
+        wallet: walletSchema('Name of the wallet that signs (defaults to the default wallet)'),
+        from: addressSchema('Address of a loaded wallet to sign with, such as a derived account'),
+        dryRun: dryRunSchema
+      },
+      required: ['value']
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    requiresApproval: true,
+    handler: ({ value, wallet, from, dryRun }) =>
+      chainService.executeChain(value, signer.resolveSender({ wallet, from }), { dryRun })
+  },
+  {
+    name: 'estimate_gas',
+    description: 'Suggest EIP-1559 fees for the slow, normal and fast strategies. With a target address, also ' +
+      'estimate the gas limit (with safety margin) and worst-case cost of the transaction.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        to: addressSchema('Transaction target; omit for fee suggestions only'),
+        from: addressSchema('Sender address'),
+        data: hexDataSchema('Hex-encoded calldata'),
+        value: weiSchema('Value in wei'),
+        strategy: feeStrategySchema('Strategy used for the cost estimate')
+      }
+    },
+    annotations: readOnly,
+    handler: (args) => feeOracle.estimate(args)
+  },
+  {
+    name: 'get_transaction_status',
+    description: 'Get the lifecycle status of a transaction (pending, mined, confirmed, failed, dropped or replaced). ' +
+      'Subscribe to monad://tx/{hash} to be notified of changes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hash: { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$', description: 'The transaction hash' }
+      },
+      required: ['hash']
+    },
+    annotations: readOnly,
+    handler: async ({ hash }) => {
+      const status = await txTracker.getStatus(hash);
+      if (!status) {
+        throw new Error(`Transaction not found: ${hash}`);
+      }
+      return status;
+    }
+  },
+  {
+    name: 'speed_up_transaction',
+    description: 'Re-send a stuck pending transaction from this server with the same nonce and higher fees ' +
+      '(at least MIN_FEE_BUMP percent more). Returns the tracked replacement. Spends gas. Set dryRun to ' +
+      'preview the replacement and its fees without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hash: { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$', description: 'Hash of the pending transaction' },
+        feeStrategy: feeStrategySchema('Fee strategy for the replacement (defaults to fast)'),
+        dryRun: dryRunSchema
+      },
+      required: ['hash']
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    requiresApproval: true,
+    handler: ({ hash, feeStrategy, dryRun }) =>
+      signer.replaceTransaction(hash, { mode: 'speedup', feeStrategy, dryRun })
+  },
+  {
+    name: 'cancel_transaction',
+    description: 'Cancel a stuck pending transaction from this server by replacing it with a zero-value ' +
+      'transfer to the sender at the same nonce and higher fees. Returns the tracked cancellation. Spends gas. ' +
+      'Set dryRun to preview the cancellation and its fees without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hash: { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$', description: 'Hash of the pending transaction' },
+        feeStrategy: feeStrategySchema('Fee strategy for the cancellation (defaults to fast)'),
+        dryRun: dryRunSchema
+      },
+      required: ['hash']
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
+    requiresApproval: true,
+    handler: ({ hash, feeStrategy, dryRun }) =>
+      signer.replaceTransaction(hash, { mode: 'cancel', feeStrategy, dryRun })
+  },
+  {
+    name: 'get_account_tokens',
+    description: 'List the tokens held by an account (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: { address: addressSchema('The account address') },
+      required: ['address']
+    },
+    annotations: readOnly,
+    handler: ({ address }) => monadService.getAccountTokens(address)
+  },
+  {
+    name: 'get_account_nfts',
+    description: 'List the NFTs held by an account (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: addressSchema('The account address'),
+        pageIndex: pageIndexSchema
+      },
+      required: ['address']
+    },
+    annotations: readOnly,
+    handler: ({ address, pageIndex = 1 }) => monadService.getAccountNFTs(address, pageIndex)
+  },
+  {
+    name: 'get_account_activities',
+    description: 'List recent activities of an account (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: addressSchema('The account address'),
+        limit: limitSchema
+      },
+      required: ['address']
+    },
+    annotations: readOnly,
+    handler: ({ address, limit = 20 }) => monadService.getAccountActivities(address, limit)
+  },
+  {
+    name: 'get_account_transactions',
+    description: 'List recent transactions of an account (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: addressSchema('The account address'),
+        limit: limitSchema
+      },
+      required: ['address']
+    },
+    annotations: readOnly,
+    handler: ({ address, limit = 20 }) => monadService.getAccountTransactions(address, limit)
+  },
+  {
+    name: 'get_account_internal_transactions',
+    description: 'List internal transactions of an account (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: addressSchema('The account address'),
+        filter: { type: 'string', default: 'all', description: 'Filter type (e.g. all)' },
+        limit: limitSchema
+      },
+      required: ['address']
+    },
+    annotations: readOnly,
+    handler: ({ address, filter = 'all', limit = 20 }) =>
+      monadService.getAccountInternalTransactions(address, filter, limit)
+  },
+  {
+    name: 'get_token_activities',
+    description: 'List an account\'s activities for one token (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: addressSchema('The account address'),
+        tokenAddress: addressSchema('The token contract address'),
+        limit: limitSchema
+      },
+      required: ['address', 'tokenAddress']
+    },
+    annotations: readOnly,
+    handler: ({ address, tokenAddress, limit = 20 }) =>
+      monadService.getTokenActivities(address, tokenAddress, limit)
+  },
+  {
+    name: 'get_collection_activities',
+    description: 'List an account\'s activities for one NFT collection (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: addressSchema('The account address'),
+        collectionAddress: addressSchema('The collection contract address'),
+        limit: limitSchema
+      },
+      required: ['address', 'collectionAddress']
+    },
+    annotations: readOnly,
+    handler: ({ address, collectionAddress, limit = 20 }) =>
+      monadService.getCollectionActivities(address, collectionAddress, limit)
+  },
+  {
+    name: 'get_token_holders',
+    description: 'List the holders of a token (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contractAddress: addressSchema('The token contract address'),
+        pageIndex: pageIndexSchema,
+        pageSize: pageSizeSchema
+      },
+      required: ['contractAddress']
+    },
+    annotations: readOnly,
+    handler: ({ contractAddress, pageIndex = 1, pageSize = 20 }) =>
+      monadService.getTokenHolders(contractAddress, pageIndex, pageSize)
+  },
+  {
+    name: 'get_native_holders',
+    description: 'List the top holders of native MON (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pageIndex: pageIndexSchema,
+        pageSize: pageSizeSchema
+      }
+    },
+    annotations: readOnly,
+    handler: ({ pageIndex = 1, pageSize = 20 }) => monadService.getNativeHolders(pageIndex, pageSize)
+  },
+  {
+    name: 'get_collection_holders',
+    description: 'List the holders of an NFT collection (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contractAddress: addressSchema('The collection contract address'),
+        pageIndex: pageIndexSchema,
+        pageSize: pageSizeSchema
+      },
+      required: ['contractAddress']
+    },
+    annotations: readOnly,
+    handler: ({ contractAddress, pageIndex = 1, pageSize = 20 }) =>
+      monadService.getCollectionHolders(contractAddress, pageIndex, pageSize)
+  },
+  {
+    name: 'get_contract_source_code',
+    description: 'Fetch the verified source code of a contract (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: { address: addressSchema('The contract address') },
+      required: ['address']
+    },
+    annotations: readOnly,
+    handler: ({ address }) => monadService.getContractSourceCode(address)
+  },
+  {
+    name: 'get_token_gating',
+    description: 'Check whether an account passes the token gate of a contract (BlockVision).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        account: addressSchema('The account address'),
+        contractAddress: addressSchema('The gating contract address')
+      },
+      required: ['account', 'contractAddress']
+    },
+    annotations: readOnly,
+    handler: ({ account, contractAddress }) => monadService.getTokenGating(account, contractAddress)
+  }
+];
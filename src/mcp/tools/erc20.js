@@ -0,0 +1,120 @@
+import erc20Service, { TOKEN_AMOUNT_UNITS } from '../../services/erc20.js';
+import signer from '../../services/signer.js';
+import { addressSchema, feeStrategySchema, walletSchema, dryRunSchema } from '../schema.js';
+
+const readOnly = { readOnlyHint: true, openWorldHint: true };
+const write = { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true };
+
+// Arguments shared by every ERC-20 write
+const writeProperties = {
+  token: addressSchema('The token contract address'),
+  amount: { type: 'string', pattern: '^\\d+(\\.\\d+)?$', description: 'Amount, in `unit`' },
+  unit: {
+    type: 'string',
+    enum: TOKEN_AMOUNT_UNITS,
+    default: 'token',
+    description: 'Whole tokens (scaled by the token\'s decimals) or raw base units'
+  },
+  wallet: walletSchema('Name of the wallet that signs (defaults to the default wallet)'),
+  from: addressSchema('Address of a loaded wallet to sign with, such as a derived account'),
+  feeStrategy: feeStrategySchema('Fee strategy (defaults to FEE_STRATEGY)'),
+  dryRun: dryRunSchema
+};
+
+const withSender = (operation) => ({ wallet, from, ...args }) => erc20Service[operation]({
+  ...args,
+  from: signer.resolveSender({ wallet, from })
+});
+
+export default [
+  {
+    name: 'get_erc20_token',
+    description: 'Read an ERC-20 token\'s name, symbol, decimals and total supply directly from the chain.',
+    inputSchema: {
+      type: 'object',
+      properties: { token: addressSchema('The token contract address') },
+      required: ['token']
+    },
+    annotations: readOnly,
+    handler: ({ token }) => erc20Service.getToken(token)
+  },
+  {
+    name: 'get_erc20_balance',
+    description: 'Read an address\'s balance of an ERC-20 token directly from the chain, in base units and ' +
+      'in tokens. Current even when get_account_tokens lags behind.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        token: addressSchema('The token contract address'),
+        owner: addressSchema('The address to check')
+      },
+      required: ['token', 'owner']
+    },
+    annotations: readOnly,
+    handler: ({ token, owner }) => erc20Service.balanceOf(token, owner)
+  },
+  {
+    name: 'get_erc20_allowance',
+    description: 'Read how many of an owner\'s ERC-20 tokens a spender may move.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        token: addressSchema('The token contract address'),
+        owner: addressSchema('The token owner'),
+        spender: addressSchema('The approved spender')
+      },
+      required: ['token', 'owner', 'spender']
+    },
+    annotations: readOnly,
+    handler: ({ token, owner, spender }) => erc20Service.allowance(token, owner, spender)
+  },
+  {
+    name: 'transfer_erc20',
+    description: 'Send ERC-20 tokens from a server wallet. Spends gas. Returns the tracked transaction. ' +
+      'Set dryRun to preview the transfer, including token balance changes, without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...writeProperties,
+        to: addressSchema('Recipient address')
+      },
+      required: ['token', 'to', 'amount']
+    },
+    annotations: write,
+    requiresApproval: true,
+    handler: withSender('transfer')
+  },
+  {
+    name: 'approve_erc20',
+    description: 'Allow a spender to move up to `amount` of a server wallet\'s ERC-20 tokens; 0 revokes ' +
+      'the allowance. Spends gas. Set dryRun to preview it without sending.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...writeProperties,
+        spender: addressSchema('The address allowed to spend')
+      },
+      required: ['token', 'spender', 'amount']
+    },
+    annotations: { ...write, idempotentHint: true },
+    requiresApproval: true,
+    handler: withSender('approve')
+  },
+  {
+    name: 'transfer_erc20_from',
+    description: 'Move ERC-20 tokens from an owner who approved the server wallet, spending that allowance. ' +
+      'Spends gas. Set dryRun to preview the transfer without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...writeProperties,
+        owner: addressSchema('Address whose tokens are moved'),
+        to: addressSchema('Recipient address')
+      },
+      required: ['token', 'owner', 'to', 'amount']
+    },
+    annotations: write,
+    requiresApproval: true,
+    handler: withSender('transferFrom')
+  }
+];
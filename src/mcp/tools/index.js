@@ -0,0 +1,155 @@
+import logger, { logContext } from '../../utils/logger.js';
+import { ErrorCodes, McpError } from '../errors.js';
+import { validateArguments } from '../schema.js';
+import { paginate } from '../pagination.js';
+import { toJson } from '../format.js';
+import approvalQueue from '../../services/approvalQueue.js';
+import chainTools from './chain.js';
+import approvalTools from './approvals.js';
+import walletTools from './wallets.js';
+import transferTools from './transfers.js';
+import erc20Tools from './erc20.js';
+import nftTools from './nft.js';
+
+/**
+ * Build an MCP CallToolResult carrying both a text rendering and the structured payload
+ */
+export const toolResult = (data) => {
+  const text = toJson(data ?? null);
+  const parsed = JSON.parse(text);
+  const structuredContent = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed)
+    ? parsed
+    : { result: parsed };
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent,
+    isError: false
+  };
+};
+
+export const toolError = (error) => ({
+  content: [{ type: 'text', text: error.message }],
+  // Policy refusals carry the broken rules so agents can adjust the request
+  ...(error.violations && {
+    structuredContent: { error: error.message, code: error.code, violations: error.violations }
+  }),
+  isError: true
+});
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(definitions) {
+    [].concat(definitions).forEach(tool => {
+      if (this.tools.has(tool.name)) {
+        throw new Error(`Duplicate MCP tool: ${tool.name}`);
+      }
+      this.tools.set(tool.name, tool);
+    });
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  list() {
+    return Array.from(this.tools.values()).map(({ name, description, inputSchema, annotations }) => ({
+      name,
+      description,
+      inputSchema,
+      ...(annotations && { annotations })
+    }));
+  }
+
+  async call(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    const problems = validateArguments(tool.inputSchema, args);
+    if (problems.length) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, `Invalid arguments for ${name}: ${problems.join('; ')}`, { problems });
+    }
+
+    // Failures inside a tool are reported to the model, not as protocol errors
+    try {
+      logger.info('Calling MCP tool:', { tool: name, sessionId: context.session?.id });
+      if (tool.requiresApproval && approvalQueue.enabled && !args.dryRun) {
+        return toolResult(await this.queueForApproval(tool, args, context));
+      }
+      return toolResult(await tool.handler(args, context));
+    } catch (error) {
+      // A cancelled call gets no response, so it is not reported as a tool failure either
+      if (context.signal?.aborted) {
+        throw error;
+      }
+      logger.error('MCP tool failed:', { tool: name, sessionId: context.session?.id, error: error.message });
+      return toolError(error);
+    }
+  }
+
+  /**
+   * Park a spending tool call until an operator decides on it. Tools that take
+   * dryRun are simulated first so the operator sees what the write would do.
+   */
+  async queueForApproval(tool, args, context) {
+    let preview = null;
+    if (tool.inputSchema.properties?.dryRun) {
+      // Handlers may throw before their first await, e.g. while resolving the sender
+      try {
+        preview = await tool.handler({ ...args, dryRun: true }, context);
+      } catch (error) {
+        preview = { error: error.message };
+      }
+    }
+
+    const item = approvalQueue.submit({
+      tool: tool.name,
+      args,
+      preview: JSON.parse(toJson(preview)),
+      requestedBy: context.session?.id ?? null,
+      // Runs after this request has finished, so it gets no signal or progress; its logs still go to the session
+      execute: () => logContext.run({ sessionId: context.session?.id }, async () =>
+        JSON.parse(toJson(await tool.handler(args, { session: context.session }))))
+    });
+
+    return {
+      approvalId: item.id,
+      status: item.status,
+      message: `Waiting for operator approval. Check with get_approval or GET /api/approvals/${item.id}.`,
+      expiresAt: new Date(item.expiresAt).toISOString(),
+      preview: item.preview
+    };
+  }
+}
+
+export const toolRegistry = new ToolRegistry();
+toolRegistry.register(chainTools);
+toolRegistry.register(approvalTools);
+toolRegistry.register(walletTools);
+toolRegistry.register(transferTools);
+toolRegistry.register(erc20Tools);
+toolRegistry.register(nftTools);
+
+export const registerTools = (server) => {
+  server.addCapability('tools', { listChanged: false });
+
+  server.registerMethod('tools/list', async (params) => {
+    const { items, nextCursor } = paginate(toolRegistry.list(), params.cursor);
+    return {
+      tools: items,
+      ...(nextCursor && { nextCursor })
+    };
+  });
+
+  server.registerMethod('tools/call', async (params, context) => {
+    if (typeof params.name !== 'string') {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: name');
+    }
+    return toolRegistry.call(params.name, params.arguments || {}, context);
+  });
+};
@@ -0,0 +1,119 @@
+import nftService from '../../services/nft.js';
+import signer from '../../services/signer.js';
+import { addressSchema, feeStrategySchema, walletSchema, dryRunSchema, hexDataSchema } from '../schema.js';
+
+const readOnly = { readOnlyHint: true, openWorldHint: true };
+
+const tokenIdSchema = (description) => ({
+  type: ['string', 'integer'],
+  pattern: '^\\d+$',
+  minimum: 0,
+  description
+});
+
+export default [
+  {
+    name: 'detect_nft_standard',
+    description: 'Detect through ERC-165 whether a contract is an ERC-721 or ERC-1155 collection, and which ' +
+      'metadata extensions it supports.',
+    inputSchema: {
+      type: 'object',
+      properties: { contract: addressSchema('The collection contract address') },
+      required: ['contract']
+    },
+    annotations: readOnly,
+    handler: ({ contract }) => nftService.detect(contract)
+  },
+  {
+    name: 'supports_interface',
+    description: 'Check whether a contract supports an ERC-165 interface id, e.g. 0x80ac58cd (ERC-721) or ' +
+      '0xd9b67a26 (ERC-1155).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contract: addressSchema('The contract address'),
+        interfaceId: { type: 'string', pattern: '^0x[0-9a-fA-F]{8}$', description: '4-byte interface id' }
+      },
+      required: ['contract', 'interfaceId']
+    },
+    annotations: readOnly,
+    handler: async ({ contract, interfaceId }) => ({
+      contract,
+      interfaceId,
+      supported: await nftService.supportsInterface(contract, interfaceId)
+    })
+  },
+  {
+    name: 'get_nft_owner',
+    description: 'Read the current owner of an ERC-721 token directly from the chain.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contract: addressSchema('The ERC-721 contract address'),
+        tokenId: tokenIdSchema('The token id')
+      },
+      required: ['contract', 'tokenId']
+    },
+    annotations: readOnly,
+    handler: ({ contract, tokenId }) => nftService.ownerOf(contract, tokenId)
+  },
+  {
+    name: 'get_nft_balance',
+    description: 'Read how many tokens of a collection an address holds, directly from the chain: the ' +
+      'collection total for ERC-721, or the balance of one token id for ERC-1155 (tokenId required).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contract: addressSchema('The collection contract address'),
+        owner: addressSchema('The address to check'),
+        tokenId: tokenIdSchema('The token id (ERC-1155 only)')
+      },
+      required: ['contract', 'owner']
+    },
+    annotations: readOnly,
+    handler: ({ contract, owner, tokenId }) => nftService.balanceOf(contract, owner, tokenId)
+  },
+  {
+    name: 'get_nft_token_uri',
+    description: 'Read the metadata URI of a token: tokenURI for ERC-721, uri for ERC-1155 with the {id} ' +
+      'placeholder substituted in resolvedUri.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contract: addressSchema('The collection contract address'),
+        tokenId: tokenIdSchema('The token id')
+      },
+      required: ['contract', 'tokenId']
+    },
+    annotations: readOnly,
+    handler: ({ contract, tokenId }) => nftService.tokenUri(contract, tokenId)
+  },
+  {
+    name: 'transfer_nft',
+    description: 'Move an ERC-721 or ERC-1155 token with safeTransferFrom, signed by a server wallet. Spends ' +
+      'gas. The wallet moves its own token, or `owner`\'s when it is an approved operator. Returns the ' +
+      'tracked transaction. Set dryRun to preview the transfer without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        contract: addressSchema('The collection contract address'),
+        to: addressSchema('Recipient address'),
+        tokenId: tokenIdSchema('The token id'),
+        amount: { type: 'string', pattern: '^[1-9]\\d*$', default: '1', description: 'Number of tokens (ERC-1155 only)' },
+        owner: addressSchema('Whose token moves (defaults to the signing wallet)'),
+        data: hexDataSchema('Bytes passed to the recipient\'s receive hook (defaults to 0x)'),
+        wallet: walletSchema('Name of the wallet that signs (defaults to the default wallet)'),
+        from: addressSchema('Address of a loaded wallet to sign with, such as a derived account'),
+        feeStrategy: feeStrategySchema('Fee strategy (defaults to FEE_STRATEGY)'),
+        dryRun: dryRunSchema
+      },
+      required: ['contract', 'to', 'tokenId']
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    requiresApproval: true,
+    handler: ({ wallet, from, ...args }) => nftService.safeTransfer({
+      ...args,
+      from: signer.resolveSender({ wallet, from })
+    })
+  }
+];
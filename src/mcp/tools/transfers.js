@@ -0,0 +1,36 @@
+import transferService, { AMOUNT_UNITS } from '../../services/transfers.js';
+import signer from '../../services/signer.js';
+import { addressSchema, feeStrategySchema, walletSchema, dryRunSchema } from '../schema.js';
+
+export default [
+  {
+    name: 'transfer_native',
+    description: 'Send native MON from a server wallet to an address. Spends funds and gas. The amount is in MON ' +
+      '(e.g. "0.5") or, with unit "wei", a whole number of wei. Mixed-case addresses must have a valid ' +
+      'checksum. Returns the tracked transaction; a pending one can be followed with get_transaction_status. ' +
+      'Set dryRun to preview the transfer without sending it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        to: addressSchema('Recipient address'),
+        amount: { type: 'string', pattern: '^\\d+(\\.\\d+)?$', description: 'Amount to send, in `unit`' },
+        unit: { type: 'string', enum: AMOUNT_UNITS, default: 'MON', description: 'Unit of the amount' },
+        wallet: walletSchema('Name of the wallet that signs (defaults to the default wallet)'),
+        from: addressSchema('Address of a loaded wallet to sign with, such as a derived account'),
+        feeStrategy: feeStrategySchema('Fee strategy (defaults to FEE_STRATEGY)'),
+        dryRun: dryRunSchema
+      },
+      required: ['to', 'amount']
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    requiresApproval: true,
+    handler: ({ to, amount, unit, wallet, from, feeStrategy, dryRun }) => transferService.sendNative({
+      from: signer.resolveSender({ wallet, from }),
+      to,
+      amount,
+      unit,
+      feeStrategy,
+      dryRun
+    })
+  }
+];
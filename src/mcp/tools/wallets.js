@@ -0,0 +1,28 @@
+import walletManager from '../../services/walletManager.js';
+import { walletSchema } from '../schema.js';
+
+export default [
+  {
+    name: 'list_wallets',
+    description: 'List the server wallets that can sign writes, by name and address. Pass a name as the ' +
+      '`wallet` argument of a write tool to sign with it.',
+    inputSchema: { type: 'object', properties: {} },
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    handler: async () => ({ wallets: walletManager.list() })
+  },
+  {
+    name: 'derive_wallet',
+    description: 'Derive a deterministic account (m/44\'/60\'/0\'/0/index) from the server\'s HD mnemonic and ' +
+      'register it as a wallet, e.g. one per end user. Without an index the next unused one is taken; ' +
+      'deriving an index again returns its existing wallet.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        index: { type: 'integer', minimum: 0, maximum: 2 ** 31 - 1, description: 'Derivation index' },
+        name: walletSchema('Wallet name (defaults to hd-<index>)')
+      }
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    handler: (args) => walletManager.derive(args)
+  }
+];
@@ -0,0 +1,34 @@
+// Level 1 URI templates (RFC 6570 simple string expansion) - all our resource URIs need
+
+export const compileTemplate = (template) => {
+  const variables = [];
+  const source = template
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (_, name) => {
+      variables.push(name);
+      return '([^/]+)';
+    });
+  const regex = new RegExp(`^${source}$`);
+
+  return {
+    template,
+    variables,
+    match(uri) {
+      const found = regex.exec(uri);
+      if (!found) return null;
+      try {
+        return variables.reduce((vars, name, index) => {
+          vars[name] = decodeURIComponent(found[index + 1]);
+          return vars;
+        }, {});
+      } catch (error) {
+        // Malformed percent-escapes (e.g. %E0) name no resource
+        if (error instanceof URIError) return null;
+        throw error;
+      }
+    },
+    expand(vars) {
+      return template.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(vars[name]));
+    }
+  };
+};
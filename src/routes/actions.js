@@ -1,7 +1,8 @@
 import express from 'express';
+import { ethers } from 'ethers';
 import chainService from '../services/chain.js';
+import signer from '../services/signer.js';
 import logger from '../utils/logger.js';
-import { ethers } from 'ethers';
 
 const router = express.Router();
 
@@ -23,6 +24,12 @@ const router = express.Router();
  *               value:
  *                 type: string
  *                 description: The greeting value to store and analyze
+ *               wallet:
+ *                 type: string
+ *                 description: Name of the wallet that signs (see GET /api/wallets; defaults to the default wallet)
+ *               from:
+ *                 type: string
+ *                 description: Address of a loaded wallet to sign with, such as a derived account
  *     responses:
  *       200:
  *         description: Chain execution completed successfully
@@ -65,7 +72,7 @@ const router = express.Router();
  */
 router.post('/execute-chain', async (req, res, next) => {
   try {
-    const { value } = req.body;
+    const { value, wallet, from } = req.body;
 
     // Validate input
     if (value === undefined) {
@@ -76,9 +83,23 @@ router.post('/execute-chain', async (req, res, next) => {
       });
     }
 
-    // Derive address from private key
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-    const fromAddress = wallet.address;
+    if (from !== undefined && !ethers.isAddress(from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format'
+      });
+    }
+
+    // Transactions are signed locally by the chosen server wallet
+    let fromAddress;
+    try {
+      fromAddress = signer.resolveSender({ wallet, from });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
 
     logger.info('Executing chain with address:', { fromAddress });
     
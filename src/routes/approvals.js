@@ -0,0 +1,239 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import approvalQueue, { ApprovalStatus } from '../services/approvalQueue.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+// Only callers presenting APPROVAL_TOKEN may decide; without one, nobody can approve
+const requireOperator = (req, res, next) => {
+  const token = process.env.APPROVAL_TOKEN;
+  if (!token) {
+    logger.warn('Refused approval decision, APPROVAL_TOKEN is not set:', { id: req.params.id });
+    return res.status(503).json({
+      success: false,
+      error: 'Approval decisions are disabled until APPROVAL_TOKEN is set'
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const presented = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!timingSafeEqual(digest(presented), digest(token))) {
+    logger.warn('Rejected approval decision without a valid operator token:', { id: req.params.id });
+    return res.status(401).json({
+      success: false,
+      error: 'Missing or invalid operator token'
+    });
+  }
+  next();
+};
+
+// Shared by approve and reject: 404 for unknown items, 409 once decided
+const decisionHandler = (decision) => (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, decidedBy } = req.body || {};
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'reason must be a string'
+      });
+    }
+    if (decision === 'reject' && !reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: reason'
+      });
+    }
+
+    const item = approvalQueue.get(id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approval not found'
+      });
+    }
+    if (item.status !== ApprovalStatus.PENDING) {
+      return res.status(409).json({
+        success: false,
+        error: `Approval is already ${item.status}`
+      });
+    }
+
+    const options = { reason: reason ?? null, decidedBy: typeof decidedBy === 'string' ? decidedBy : null };
+    const updated = decision === 'approve'
+      ? approvalQueue.approve(id, options)
+      : approvalQueue.reject(id, options);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Failed to decide on approval:', { id: req.params.id, decision, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/approvals:
+ *   get:
+ *     summary: List writes queued for operator approval
+ *     description: MCP tools that spend funds queue their writes here while REQUIRE_APPROVAL is on.
+ *       Each item carries the tool, its arguments and, when the tool supports it, a dry-run preview.
+ *     tags: [API]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, executed, failed, expired]
+ *         description: Only list items with this status
+ *     responses:
+ *       200:
+ *         description: Approval items, newest first
+ *       400:
+ *         description: Invalid status
+ */
+router.get('/approvals', (req, res) => {
+  const { status } = req.query;
+
+  if (status && !Object.values(ApprovalStatus).includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status. Use one of: ${Object.values(ApprovalStatus).join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: approvalQueue.list({ status })
+  });
+});
+
+/**
+ * @swagger
+ * /api/approvals/{id}:
+ *   get:
+ *     summary: Get a queued write
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The approval item
+ *       404:
+ *         description: Approval not found
+ */
+router.get('/approvals/:id', (req, res) => {
+  const item = approvalQueue.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: 'Approval not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: item
+  });
+});
+
+/**
+ * @swagger
+ * /api/approvals/{id}/approve:
+ *   post:
+ *     summary: Approve a queued write
+ *     description: The write is signed and sent through the normal write path. The response returns as
+ *       soon as it starts; the item moves to executed or failed when it finishes. Requires
+ *       `Authorization Bearer <APPROVAL_TOKEN>`.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               decidedBy:
+ *                 type: string
+ *                 description: Operator name recorded on the item
+ *     responses:
+ *       200:
+ *         description: The approved item
+ *       400:
+ *         description: Invalid reason
+ *       401:
+ *         description: Missing or invalid operator token
+ *       404:
+ *         description: Approval not found
+ *       409:
+ *         description: Approval already decided or expired
+ *       503:
+ *         description: APPROVAL_TOKEN is not configured
+ */
+router.post('/approvals/:id/approve', requireOperator, decisionHandler('approve'));
+
+/**
+ * @swagger
+ * /api/approvals/{id}/reject:
+ *   post:
+ *     summary: Reject a queued write
+ *     description: Requires `Authorization Bearer <APPROVAL_TOKEN>`.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               decidedBy:
+ *                 type: string
+ *                 description: Operator name recorded on the item
+ *     responses:
+ *       200:
+ *         description: The rejected item
+ *       400:
+ *         description: Missing reason
+ *       401:
+ *         description: Missing or invalid operator token
+ *       404:
+ *         description: Approval not found
+ *       409:
+ *         description: Approval already decided or expired
+ *       503:
+ *         description: APPROVAL_TOKEN is not configured
+ */
+router.post('/approvals/:id/reject', requireOperator, decisionHandler('reject'));
+
+export default router;
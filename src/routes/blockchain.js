@@ -1,5 +1,8 @@
 import express from 'express';
 import monadService from '../services/monad.js';
+import signer from '../services/signer.js';
+import { FEE_STRATEGIES, isFeeStrategy } from '../services/feeOracle.js';
+import { PolicyViolationError } from '../services/spendingPolicy.js';
 import logger from '../utils/logger.js';
 import { ethers } from 'ethers';
 
@@ -232,9 +235,25 @@ router.get('/blockchain/balance/:address', async (req, res) => {
  *               value:
  *                 type: string
  *                 description: The greeting value to store
+ *               wallet:
+ *                 type: string
+ *                 description: Name of the wallet that signs (see GET /api/wallets; defaults to the default wallet)
+ *               from:
+ *                 type: string
+ *                 description: Address of a loaded wallet to sign with, such as a derived account
+ *               feeStrategy:
+ *                 type: string
+ *                 enum: [slow, normal, fast]
+ *                 description: Fee strategy (defaults to FEE_STRATEGY)
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Simulate against the pending state and return the revert reason, gas
+ *                   estimate and state changes (wouldSucceed, revertReason, gas, fees, stateChanges)
+ *                   instead of sending
  *     responses:
  *       200:
- *         description: Value stored successfully
+ *         description: Value stored successfully, or the simulation result for a dry run
  *         content:
  *           application/json:
  *             schema:
@@ -254,12 +273,14 @@ router.get('/blockchain/balance/:address', async (req, res) => {
  *                       type: string
  *       400:
  *         description: Invalid input parameters
+ *       403:
+ *         description: Refused by the spending policy; `violations` lists the broken rules
  *       500:
  *         description: Server error
  */
-router.post('/store-data', async (req, res) => {
+router.post('/store-data', async (req, res, next) => {
   try {
-    const { value } = req.body;
+    const { value, wallet, from, feeStrategy, dryRun = false } = req.body;
 
     if (value === undefined) {
       logger.warn('Invalid request parameters:', { value });
@@ -269,17 +290,49 @@ router.post('/store-data', async (req, res) => {
       });
     }
 
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-    const fromAddress = wallet.address;
+    if (feeStrategy !== undefined && !isFeeStrategy(feeStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid fee strategy. Use one of: ${Object.keys(FEE_STRATEGIES).join(', ')}`
+      });
+    }
 
-    logger.info('Storing data with address:', { fromAddress });
-    const result = await monadService.storeData(value, fromAddress);
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be a boolean'
+      });
+    }
+
+    if (from !== undefined && !ethers.isAddress(from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format'
+      });
+    }
+
+    // Transactions are signed locally by the chosen server wallet
+    let fromAddress;
+    try {
+      fromAddress = signer.resolveSender({ wallet, from });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.info('Storing data with address:', { fromAddress, dryRun });
+    const result = await monadService.storeData(value, fromAddress, { feeStrategy, dryRun });
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     logger.error('Failed to store data:', { error: error.message });
+    if (error instanceof PolicyViolationError) {
+      return next(error);
+    }
     res.status(500).json({
       success: false,
       error: error.message
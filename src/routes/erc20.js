@@ -0,0 +1,443 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import erc20Service, { TOKEN_AMOUNT_UNITS, parseTokenAmount } from '../services/erc20.js';
+import signer from '../services/signer.js';
+import { TxStatus } from '../services/txTracker.js';
+import { FEE_STRATEGIES, isFeeStrategy } from '../services/feeOracle.js';
+import { PolicyViolationError } from '../services/spendingPolicy.js';
+import { parseAddress } from '../utils/address.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error
+});
+
+// Every /erc20/:token route gets the token's metadata as req.token: 400 for a bad
+// address, 404 when nothing is deployed there
+router.param('token', async (req, res, next, token) => {
+  try {
+    parseAddress(token, 'token');
+  } catch (error) {
+    return badRequest(res, error.message);
+  }
+
+  try {
+    req.token = await erc20Service.getMetadata(token);
+    next();
+  } catch (error) {
+    logger.error('Failed to load ERC-20 token:', { token, error: error.message });
+    res.status(error.message.startsWith('No contract') ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Shared by the write routes. `addressFields` are the body fields holding
+ * addresses besides `from`; the rest of the body is common to every write.
+ */
+const writeHandler = (operation, addressFields, { allowZero = false } = {}) => async (req, res, next) => {
+  try {
+    const { amount, unit = 'token', wallet, from, feeStrategy, dryRun = false } = req.body;
+
+    const missing = ['amount', ...addressFields].filter(field => req.body[field] === undefined);
+    if (missing.length) {
+      return badRequest(res, `Missing required parameters: ${missing.join(', ')}`);
+    }
+    if (!TOKEN_AMOUNT_UNITS.includes(unit)) {
+      return badRequest(res, `Invalid unit. Use one of: ${TOKEN_AMOUNT_UNITS.join(', ')}`);
+    }
+    try {
+      addressFields.forEach(field => parseAddress(req.body[field], field));
+      if (parseTokenAmount(amount, unit, req.token.decimals) === 0n && !allowZero) {
+        return badRequest(res, 'Amount must be greater than zero');
+      }
+    } catch (error) {
+      return badRequest(res, error.message);
+    }
+    if (feeStrategy !== undefined && !isFeeStrategy(feeStrategy)) {
+      return badRequest(res, `Invalid fee strategy. Use one of: ${Object.keys(FEE_STRATEGIES).join(', ')}`);
+    }
+    if (typeof dryRun !== 'boolean') {
+      return badRequest(res, 'dryRun must be a boolean');
+    }
+    if (from !== undefined && !ethers.isAddress(from)) {
+      return badRequest(res, 'Invalid address format');
+    }
+
+    let fromAddress;
+    try {
+      fromAddress = signer.resolveSender({ wallet, from });
+    } catch (error) {
+      return badRequest(res, error.message);
+    }
+
+    const fields = Object.fromEntries(addressFields.map(field => [field, req.body[field]]));
+    const result = await erc20Service[operation]({
+      ...fields,
+      token: req.token.address,
+      from: fromAddress,
+      amount,
+      unit,
+      feeStrategy,
+      dryRun
+    });
+    res.status(result.status === TxStatus.PENDING ? 202 : 200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('ERC-20 write failed:', { token: req.params.token, operation, error: error.message });
+    if (error instanceof PolicyViolationError) {
+      return next(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      ...(error.transactionHash && { transactionHash: error.transactionHash })
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/erc20/{token}:
+ *   get:
+ *     summary: Get an ERC-20 token's metadata and total supply
+ *     description: Read directly from the chain. name, symbol and decimals are null when the token does
+ *       not implement them. Amounts are in base units, with their decimal form next to them.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token contract address
+ *     responses:
+ *       200:
+ *         description: Token metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     symbol:
+ *                       type: string
+ *                     decimals:
+ *                       type: integer
+ *                     totalSupply:
+ *                       type: string
+ *                     totalSupplyFormatted:
+ *                       type: string
+ *       400:
+ *         description: Invalid token address
+ *       404:
+ *         description: No contract at this address
+ *       500:
+ *         description: Server error
+ */
+router.get('/erc20/:token', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await erc20Service.getToken(req.token.address)
+    });
+  } catch (error) {
+    logger.error('Failed to get ERC-20 token:', { token: req.token.address, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/erc20/{token}/balance/{owner}:
+ *   get:
+ *     summary: Get an address's balance of an ERC-20 token
+ *     description: Read directly from the chain, so it is current even when indexers lag.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token contract address
+ *       - in: path
+ *         name: owner
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The address to check
+ *     responses:
+ *       200:
+ *         description: Balance in base units (balance) and tokens (balanceFormatted)
+ *       400:
+ *         description: Invalid address
+ *       404:
+ *         description: No contract at the token address
+ *       500:
+ *         description: Server error
+ */
+router.get('/erc20/:token/balance/:owner', async (req, res) => {
+  try {
+    parseAddress(req.params.owner, 'owner');
+  } catch (error) {
+    return badRequest(res, error.message);
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await erc20Service.balanceOf(req.token.address, req.params.owner)
+    });
+  } catch (error) {
+    logger.error('Failed to get ERC-20 balance:', { token: req.token.address, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/erc20/{token}/allowance/{owner}/{spender}:
+ *   get:
+ *     summary: Get how much of an owner's tokens a spender may move
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token contract address
+ *       - in: path
+ *         name: owner
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: spender
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Allowance in base units (allowance) and tokens (allowanceFormatted)
+ *       400:
+ *         description: Invalid address
+ *       404:
+ *         description: No contract at the token address
+ *       500:
+ *         description: Server error
+ */
+router.get('/erc20/:token/allowance/:owner/:spender', async (req, res) => {
+  const { owner, spender } = req.params;
+  try {
+    parseAddress(owner, 'owner');
+    parseAddress(spender, 'spender');
+  } catch (error) {
+    return badRequest(res, error.message);
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await erc20Service.allowance(req.token.address, owner, spender)
+    });
+  } catch (error) {
+    logger.error('Failed to get ERC-20 allowance:', { token: req.token.address, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Erc20WriteOptions:
+ *       type: object
+ *       required:
+ *         - amount
+ *       properties:
+ *         amount:
+ *           type: string
+ *           description: Amount in `unit`, e.g. "1.5" tokens or "1500000" base units
+ *         unit:
+ *           type: string
+ *           enum: [token, base]
+ *           default: token
+ *         wallet:
+ *           type: string
+ *           description: Name of the wallet that signs (see GET /api/wallets; defaults to the default wallet)
+ *         from:
+ *           type: string
+ *           description: Address of a loaded wallet to sign with, such as a derived account
+ *         feeStrategy:
+ *           type: string
+ *           enum: [slow, normal, fast]
+ *           description: Fee strategy (defaults to FEE_STRATEGY)
+ *         dryRun:
+ *           type: boolean
+ *           default: false
+ *           description: Simulate the write, including token balance and allowance changes, instead of sending it
+ */
+
+/**
+ * @swagger
+ * /api/erc20/{token}/transfer:
+ *   post:
+ *     summary: Transfer ERC-20 tokens from a server wallet
+ *     description: Responds 200 once mined, or 202 with the pending transaction if it is not mined within
+ *       30 seconds.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Erc20WriteOptions'
+ *               - type: object
+ *                 required:
+ *                   - to
+ *                 properties:
+ *                   to:
+ *                     type: string
+ *                     description: Recipient address
+ *     responses:
+ *       200:
+ *         description: The mined transaction (or the simulation result for a dry run)
+ *       202:
+ *         description: Broadcast but not mined yet; the transaction is still tracked
+ *       400:
+ *         description: Invalid input parameters
+ *       403:
+ *         description: Refused by the spending policy
+ *       404:
+ *         description: No contract at the token address
+ *       500:
+ *         description: Server error
+ */
+router.post('/erc20/:token/transfer', writeHandler('transfer', ['to']));
+
+/**
+ * @swagger
+ * /api/erc20/{token}/approve:
+ *   post:
+ *     summary: Approve a spender for a server wallet's ERC-20 tokens
+ *     description: Sets the spender's allowance to `amount`; 0 revokes it. Responds 200 once mined, or 202
+ *       with the pending transaction.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Erc20WriteOptions'
+ *               - type: object
+ *                 required:
+ *                   - spender
+ *                 properties:
+ *                   spender:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: The mined transaction (or the simulation result for a dry run)
+ *       202:
+ *         description: Broadcast but not mined yet; the transaction is still tracked
+ *       400:
+ *         description: Invalid input parameters
+ *       403:
+ *         description: Refused by the spending policy
+ *       404:
+ *         description: No contract at the token address
+ *       500:
+ *         description: Server error
+ */
+router.post('/erc20/:token/approve', writeHandler('approve', ['spender'], { allowZero: true }));
+
+/**
+ * @swagger
+ * /api/erc20/{token}/transfer-from:
+ *   post:
+ *     summary: Move ERC-20 tokens a server wallet was approved to spend
+ *     description: Transfers `amount` of the owner's tokens to `to`, spending the allowance the owner gave
+ *       the signing wallet. Responds 200 once mined, or 202 with the pending transaction.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Erc20WriteOptions'
+ *               - type: object
+ *                 required:
+ *                   - owner
+ *                   - to
+ *                 properties:
+ *                   owner:
+ *                     type: string
+ *                     description: Address whose tokens are moved
+ *                   to:
+ *                     type: string
+ *                     description: Recipient address
+ *     responses:
+ *       200:
+ *         description: The mined transaction (or the simulation result for a dry run)
+ *       202:
+ *         description: Broadcast but not mined yet; the transaction is still tracked
+ *       400:
+ *         description: Invalid input parameters
+ *       403:
+ *         description: Refused by the spending policy
+ *       404:
+ *         description: No contract at the token address
+ *       500:
+ *         description: Server error
+ */
+router.post('/erc20/:token/transfer-from', writeHandler('transferFrom', ['owner', 'to']));
+
+export default router;
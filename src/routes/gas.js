@@ -0,0 +1,129 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import feeOracle, { FEE_STRATEGIES, isFeeStrategy } from '../services/feeOracle.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/gas/estimate:
+ *   get:
+ *     summary: Suggest EIP-1559 fees and estimate the gas of a transaction
+ *     description: Fee suggestions for the slow, normal and fast strategies from eth_feeHistory and
+ *       eth_maxPriorityFeePerGas. When `to` is given, the gas limit (eth_estimateGas plus
+ *       GAS_LIMIT_MARGIN percent) and worst-case cost under the chosen strategy are included.
+ *     tags: [API]
+ *     parameters:
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Transaction target address
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Sender address
+ *       - in: query
+ *         name: data
+ *         schema:
+ *           type: string
+ *         description: Hex-encoded calldata
+ *       - in: query
+ *         name: value
+ *         schema:
+ *           type: string
+ *         description: Value in wei
+ *       - in: query
+ *         name: strategy
+ *         schema:
+ *           type: string
+ *           enum: [slow, normal, fast]
+ *         description: Strategy used for the cost estimate (defaults to FEE_STRATEGY)
+ *     responses:
+ *       200:
+ *         description: Fee and gas estimate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     strategy:
+ *                       type: string
+ *                     type:
+ *                       type: integer
+ *                       description: 2 for EIP-1559 fees, 0 for a legacy gas price
+ *                     baseFeePerGas:
+ *                       type: string
+ *                     fees:
+ *                       type: object
+ *                       description: maxFeePerGas and maxPriorityFeePerGas (wei) per strategy
+ *                     gas:
+ *                       type: object
+ *                       properties:
+ *                         estimatedGas:
+ *                           type: string
+ *                         gasLimit:
+ *                           type: string
+ *                         marginPercent:
+ *                           type: integer
+ *                         maxCost:
+ *                           type: string
+ *                         maxCostMon:
+ *                           type: string
+ *       400:
+ *         description: Invalid input parameters
+ *       500:
+ *         description: Server error
+ */
+router.get('/gas/estimate', async (req, res) => {
+  try {
+    const { to, from, data, value, strategy } = req.query;
+
+    if ((to && !ethers.isAddress(to)) || (from && !ethers.isAddress(from))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format'
+      });
+    }
+    if (data && !/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+      return res.status(400).json({
+        success: false,
+        error: 'data must be hex-encoded'
+      });
+    }
+    if (value && !/^\d+$/.test(value)) {
+      return res.status(400).json({
+        success: false,
+        error: 'value must be an amount in wei'
+      });
+    }
+    if (strategy && !isFeeStrategy(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid fee strategy. Use one of: ${Object.keys(FEE_STRATEGIES).join(', ')}`
+      });
+    }
+
+    const estimate = await feeOracle.estimate({ to, from, data, value, strategy });
+    res.json({
+      success: true,
+      data: estimate
+    });
+  } catch (error) {
+    logger.error('Failed to estimate gas:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
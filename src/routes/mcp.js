@@ -0,0 +1,344 @@
+import express from 'express';
+import mcpServer from '../mcp/index.js';
+import { ErrorCodes } from '../mcp/errors.js';
+import { errorResponse, invalidRequest, isValidMessage, hasRequests, processPayload } from '../mcp/jsonrpc.js';
+import { SSE_HEADERS, writeEvent, startHeartbeat } from '../mcp/sse.js';
+import SessionStreams, { STANDALONE_STREAM } from '../mcp/httpStreams.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const MCP_PATHS = ['/mcp', '/mcp-sse/messages'];
+
+// Parse MCP bodies here so malformed JSON becomes a JSON-RPC parse error
+router.use(MCP_PATHS, express.json({ strict: false }));
+
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT || '1800000'); // 30 minutes
+
+const acceptsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+// Answer over SSE when the client can only take a stream, or when a request
+// asks for progress notifications that should travel with its response
+const wantsStreamedResponse = (req, payload) =>
+  acceptsEventStream(req) &&
+  (!(req.get('Accept') || '').includes('application/json') ||
+    [].concat(payload).some(message => message?.params?._meta?.progressToken !== undefined));
+
+const lookupHttpSession = (req, res, id) => {
+  const sessionId = req.get(SESSION_HEADER);
+  if (!sessionId) {
+    res.status(400).json(errorResponse(id, ErrorCodes.INVALID_REQUEST, `Missing ${SESSION_HEADER} header`));
+    return null;
+  }
+  const session = mcpServer.getSession(sessionId);
+  if (!session || session.transport !== 'http') {
+    res.status(404).json(errorResponse(id, ErrorCodes.INVALID_REQUEST, 'Session not found'));
+    return null;
+  }
+  return session;
+};
+
+// HTTP sessions have no connection whose close would end them
+setInterval(() => {
+  mcpServer.reapIdleSessions('http', SESSION_IDLE_TIMEOUT, session => session.streams.isConnected);
+}, 60000).unref();
+
+/**
+ * @swagger
+ * /mcp:
+ *   post:
+ *     summary: MCP Streamable HTTP endpoint
+ *     description: |
+ *       Accepts MCP JSON-RPC 2.0 messages. Start with an `initialize` request without a
+ *       session header; the response carries an `Mcp-Session-Id` header that must be sent
+ *       with every following message. Methods other than `initialize` and `ping` are
+ *       rejected until the client has sent `notifications/initialized`.
+ *
+ *       Requests are answered with `application/json`, or with a `text/event-stream` when
+ *       the client only accepts streams or sets `params._meta.progressToken`; in that case
+ *       notifications about the request precede the response on the stream.
+ *     tags: [MCP]
+ *     parameters:
+ *       - in: header
+ *         name: Mcp-Session-Id
+ *         schema:
+ *           type: string
+ *         description: Session id returned by initialize
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - jsonrpc
+ *               - method
+ *             properties:
+ *               jsonrpc:
+ *                 type: string
+ *                 example: "2.0"
+ *               id:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: integer
+ *               method:
+ *                 type: string
+ *                 example: initialize
+ *               params:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: JSON-RPC response, as JSON or an event stream
+ *       202:
+ *         description: Notification accepted
+ *       400:
+ *         description: Invalid request or missing session id
+ *       404:
+ *         description: Unknown or expired session
+ */
+router.post('/mcp', async (req, res) => {
+  const payload = req.body;
+
+  // Only a lone initialize request may open a session
+  const isNewSession = !Array.isArray(payload) &&
+    isValidMessage(payload) &&
+    payload.method === 'initialize' &&
+    !req.get(SESSION_HEADER);
+
+  let session;
+  if (isNewSession) {
+    session = mcpServer.createSession('http');
+    session.streams = new SessionStreams(session);
+  } else {
+    if (!Array.isArray(payload) && !isValidMessage(payload)) {
+      return res.status(400).json(invalidRequest(payload));
+    }
+    session = lookupHttpSession(req, res, Array.isArray(payload) ? null : payload.id);
+    if (!session) return;
+  }
+
+  if (!hasRequests(payload)) {
+    const response = await processPayload(mcpServer, session, payload);
+    res.set(SESSION_HEADER, session.id);
+    // Only malformed batch entries produce a body here
+    return response ? res.json(response) : res.status(202).end();
+  }
+
+  if (!isNewSession && wantsStreamedResponse(req, payload)) {
+    const streamId = session.streams.nextRequestStream();
+    res.writeHead(200, { ...SSE_HEADERS, [SESSION_HEADER]: session.id });
+    session.streams.attach(streamId, res);
+
+    const response = await processPayload(mcpServer, session, payload, {
+      notify: (method, params) => session.streams.write(streamId, {
+        jsonrpc: '2.0',
+        method,
+        ...(params !== undefined && { params })
+      })
+    });
+    if (response) {
+      session.streams.write(streamId, response);
+    }
+    return session.streams.finish(streamId);
+  }
+
+  const response = await processPayload(mcpServer, session, payload);
+
+  // Every request in the payload was cancelled: nothing to answer
+  if (!response) {
+    return res.set(SESSION_HEADER, session.id).status(202).end();
+  }
+
+  // A failed initialize leaves nothing worth keeping around
+  if (isNewSession && response.error) {
+    session.close();
+    return res.json(response);
+  }
+
+  return res.set(SESSION_HEADER, session.id).json(response);
+});
+
+/**
+ * @swagger
+ * /mcp:
+ *   get:
+ *     summary: Open the server-to-client stream of an MCP session
+ *     description: |
+ *       Streams notifications that are not tied to a request (resource updates, log
+ *       messages). Send `Last-Event-ID` to resume any stream of the session, including
+ *       an interrupted POST response, from the last event received.
+ *     tags: [MCP]
+ *     parameters:
+ *       - in: header
+ *         name: Mcp-Session-Id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *       400:
+ *         description: Missing session id or unknown Last-Event-ID
+ *       404:
+ *         description: Unknown or expired session
+ *       405:
+ *         description: Client does not accept text/event-stream
+ */
+router.get('/mcp', (req, res) => {
+  if (!acceptsEventStream(req)) {
+    return res.status(405).set('Allow', 'POST, DELETE').json(
+      errorResponse(null, ErrorCodes.INVALID_REQUEST, 'GET requires Accept: text/event-stream')
+    );
+  }
+
+  const session = lookupHttpSession(req, res, null);
+  if (!session) return;
+
+  const lastEventId = req.get('Last-Event-ID');
+  res.writeHead(200, { ...SSE_HEADERS, [SESSION_HEADER]: session.id });
+
+  if (lastEventId) {
+    if (!session.streams.resume(lastEventId, res)) {
+      writeEvent(res, { event: 'message', data: errorResponse(null, ErrorCodes.INVALID_REQUEST, 'Unknown Last-Event-ID') });
+      return res.end();
+    }
+  } else {
+    session.streams.attach(STANDALONE_STREAM, res);
+  }
+
+  const stopHeartbeat = startHeartbeat(res);
+  req.on('close', () => {
+    stopHeartbeat();
+    session.touch();
+  });
+});
+
+/**
+ * @swagger
+ * /mcp:
+ *   delete:
+ *     summary: Terminate an MCP session
+ *     tags: [MCP]
+ *     parameters:
+ *       - in: header
+ *         name: Mcp-Session-Id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Session terminated
+ *       400:
+ *         description: Missing session id
+ *       404:
+ *         description: Unknown or expired session
+ */
+router.delete('/mcp', (req, res) => {
+  const session = lookupHttpSession(req, res, null);
+  if (!session) return;
+
+  session.close();
+  res.status(204).end();
+});
+
+/**
+ * @swagger
+ * /mcp-sse:
+ *   get:
+ *     summary: MCP HTTP+SSE transport stream
+ *     description: |
+ *       Opens an MCP session over server-sent events. The first event is `endpoint`, whose
+ *       data is the URL the client must POST its JSON-RPC messages to. Responses and
+ *       server notifications for the session arrive on this stream as `message` events.
+ *     tags: [MCP]
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ */
+router.get('/mcp-sse', (req, res) => {
+  res.writeHead(200, SSE_HEADERS);
+
+  const session = mcpServer.createSession('sse');
+  const forward = (message) => writeEvent(res, { event: 'message', data: message });
+  session.on('message', forward);
+  // A shutdown request closes the session; end the stream with it
+  session.once('close', () => res.end());
+
+  writeEvent(res, {
+    event: 'endpoint',
+    data: `${req.baseUrl}/mcp-sse/messages?sessionId=${session.id}`
+  });
+
+  const stopHeartbeat = startHeartbeat(res);
+
+  req.on('close', () => {
+    stopHeartbeat();
+    session.off('message', forward);
+    session.close();
+    logger.info('MCP SSE client disconnected:', { sessionId: session.id });
+  });
+
+  logger.info('MCP SSE client connected:', { sessionId: session.id });
+});
+
+/**
+ * @swagger
+ * /mcp-sse/messages:
+ *   post:
+ *     summary: Post a JSON-RPC message to an MCP SSE session
+ *     tags: [MCP]
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session id from the endpoint event
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       202:
+ *         description: Message accepted; the response is delivered on the event stream
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Unknown session
+ */
+router.post('/mcp-sse/messages', (req, res) => {
+  const payload = req.body;
+  const session = mcpServer.getSession(req.query.sessionId);
+  if (!session || session.transport !== 'sse') {
+    return res.status(404).json(errorResponse(payload?.id, ErrorCodes.INVALID_REQUEST, 'Session not found'));
+  }
+
+  if (!Array.isArray(payload) && !isValidMessage(payload)) {
+    return res.status(400).json(invalidRequest(payload));
+  }
+
+  res.status(202).end();
+
+  processPayload(mcpServer, session, payload).then(response => {
+    if (response) {
+      session.send(response);
+    }
+  });
+});
+
+router.use(MCP_PATHS, (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    logger.warn('Malformed MCP payload:', { path: req.path, error: err.message });
+    return res.status(400).json(errorResponse(null, ErrorCodes.PARSE_ERROR, 'Parse error'));
+  }
+  next(err);
+});
+
+export default router;
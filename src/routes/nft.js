@@ -0,0 +1,456 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import nftService, { NftStandard, parseTokenId, parseInterfaceId } from '../services/nft.js';
+import signer from '../services/signer.js';
+import { TxStatus } from '../services/txTracker.js';
+import { FEE_STRATEGIES, isFeeStrategy } from '../services/feeOracle.js';
+import { PolicyViolationError } from '../services/spendingPolicy.js';
+import { parseAddress } from '../utils/address.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const badRequest = (res, error) => res.status(400).json({
+  success: false,
+  error
+});
+
+// Every /nft/:contract route gets the detected collection as req.collection: 400
+// for a bad address, 404 when nothing is deployed there
+router.param('contract', async (req, res, next, contract) => {
+  try {
+    parseAddress(contract, 'contract');
+  } catch (error) {
+    return badRequest(res, error.message);
+  }
+
+  try {
+    req.collection = await nftService.detect(contract);
+    next();
+  } catch (error) {
+    logger.error('Failed to detect NFT collection:', { contract, error: error.message });
+    res.status(error.message.startsWith('No contract') ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 400 unless the collection is ERC-721 or ERC-1155 (or `only` that standard)
+const requireStandard = (only) => async (req, res, next) => {
+  try {
+    await nftService.collection(req.collection.address, only);
+    next();
+  } catch (error) {
+    badRequest(res, error.message);
+  }
+};
+
+const validTokenId = (req, res, next) => {
+  try {
+    parseTokenId(req.params.tokenId);
+    next();
+  } catch (error) {
+    badRequest(res, error.message);
+  }
+};
+
+const serverError = (res, message, req, error) => {
+  logger.error(message, { contract: req.collection.address, error: error.message });
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * @swagger
+ * /api/nft/{contract}:
+ *   get:
+ *     summary: Detect an NFT contract's standard
+ *     description: Uses ERC-165 to report whether the contract is ERC-721 or ERC-1155 (standard is null
+ *       otherwise) and which metadata extensions it supports. Read directly from the chain.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: contract
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The collection contract address
+ *     responses:
+ *       200:
+ *         description: The detected standard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       type: string
+ *                     standard:
+ *                       type: string
+ *                       enum: [erc721, erc1155]
+ *                       nullable: true
+ *                     interfaces:
+ *                       type: object
+ *                       properties:
+ *                         erc165:
+ *                           type: boolean
+ *                         erc721:
+ *                           type: boolean
+ *                         erc721Metadata:
+ *                           type: boolean
+ *                         erc1155:
+ *                           type: boolean
+ *                         erc1155MetadataUri:
+ *                           type: boolean
+ *                     name:
+ *                       type: string
+ *                     symbol:
+ *                       type: string
+ *       400:
+ *         description: Invalid contract address
+ *       404:
+ *         description: No contract at this address
+ *       500:
+ *         description: Server error
+ */
+router.get('/nft/:contract', (req, res) => {
+  res.json({
+    success: true,
+    data: req.collection
+  });
+});
+
+/**
+ * @swagger
+ * /api/nft/{contract}/supports/{interfaceId}:
+ *   get:
+ *     summary: Check whether a contract supports an ERC-165 interface
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: contract
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: interfaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 4-byte interface id, e.g. 0x80ac58cd for ERC-721
+ *     responses:
+ *       200:
+ *         description: Whether the interface is supported
+ *       400:
+ *         description: Invalid address or interface id
+ *       404:
+ *         description: No contract at this address
+ */
+router.get('/nft/:contract/supports/:interfaceId', async (req, res) => {
+  let interfaceId;
+  try {
+    interfaceId = parseInterfaceId(req.params.interfaceId);
+  } catch (error) {
+    return badRequest(res, error.message);
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: {
+        contract: req.collection.address,
+        interfaceId,
+        supported: await nftService.supportsInterface(req.collection.address, interfaceId)
+      }
+    });
+  } catch (error) {
+    serverError(res, 'Failed to check interface support:', req, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/nft/{contract}/tokens/{tokenId}/owner:
+ *   get:
+ *     summary: Get the owner of an ERC-721 token
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: contract
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The token's current owner
+ *       400:
+ *         description: Invalid input, or not an ERC-721 contract
+ *       404:
+ *         description: No contract at this address
+ *       500:
+ *         description: Server error, including tokens that do not exist
+ */
+router.get('/nft/:contract/tokens/:tokenId/owner', requireStandard(NftStandard.ERC721), validTokenId, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await nftService.ownerOf(req.collection.address, req.params.tokenId)
+    });
+  } catch (error) {
+    serverError(res, 'Failed to get NFT owner:', req, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/nft/{contract}/tokens/{tokenId}/uri:
+ *   get:
+ *     summary: Get a token's metadata URI
+ *     description: tokenURI for ERC-721, uri for ERC-1155. The {id} placeholder of ERC-1155 URIs is
+ *       substituted in resolvedUri.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: contract
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The metadata URI
+ *       400:
+ *         description: Invalid input, or not an NFT contract
+ *       404:
+ *         description: No contract at this address
+ *       500:
+ *         description: Server error
+ */
+router.get('/nft/:contract/tokens/:tokenId/uri', requireStandard(), validTokenId, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await nftService.tokenUri(req.collection.address, req.params.tokenId)
+    });
+  } catch (error) {
+    serverError(res, 'Failed to get NFT URI:', req, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/nft/{contract}/balance/{owner}:
+ *   get:
+ *     summary: Get how many tokens of a collection an address holds
+ *     description: For ERC-721, the number of tokens in the collection. For ERC-1155, the balance of one
+ *       token id, given as the tokenId query parameter.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: contract
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: owner
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tokenId
+ *         schema:
+ *           type: string
+ *         description: Token id (required for ERC-1155)
+ *     responses:
+ *       200:
+ *         description: The balance
+ *       400:
+ *         description: Invalid input, or not an NFT contract
+ *       404:
+ *         description: No contract at this address
+ *       500:
+ *         description: Server error
+ */
+router.get('/nft/:contract/balance/:owner', requireStandard(), async (req, res) => {
+  const { tokenId } = req.query;
+  try {
+    parseAddress(req.params.owner, 'owner');
+    if (tokenId !== undefined) {
+      parseTokenId(tokenId);
+    } else if (req.collection.standard === NftStandard.ERC1155) {
+      return badRequest(res, 'tokenId is required for ERC-1155 balances');
+    }
+  } catch (error) {
+    return badRequest(res, error.message);
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await nftService.balanceOf(req.collection.address, req.params.owner, tokenId)
+    });
+  } catch (error) {
+    serverError(res, 'Failed to get NFT balance:', req, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/nft/{contract}/transfer:
+ *   post:
+ *     summary: Transfer an NFT with safeTransferFrom
+ *     description: Works for ERC-721 and ERC-1155. The signing wallet moves its own token, or the owner's
+ *       when it is an approved operator. Contract recipients must accept the token. Responds 200 once
+ *       mined, or 202 with the pending transaction if it is not mined within 30 seconds.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: contract
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *               - tokenId
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 description: Recipient address
+ *               tokenId:
+ *                 type: string
+ *               amount:
+ *                 type: string
+ *                 default: '1'
+ *                 description: Number of tokens to move (ERC-1155 only)
+ *               owner:
+ *                 type: string
+ *                 description: Whose token moves (defaults to the signing wallet)
+ *               data:
+ *                 type: string
+ *                 default: '0x'
+ *                 description: Hex bytes passed to the recipient's receive hook
+ *               wallet:
+ *                 type: string
+ *                 description: Name of the wallet that signs (see GET /api/wallets; defaults to the default wallet)
+ *               from:
+ *                 type: string
+ *                 description: Address of a loaded wallet to sign with, such as a derived account
+ *               feeStrategy:
+ *                 type: string
+ *                 enum: [slow, normal, fast]
+ *                 description: Fee strategy (defaults to FEE_STRATEGY)
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Simulate the transfer, including the ownership or balance change, instead of sending it
+ *     responses:
+ *       200:
+ *         description: The mined transaction (or the simulation result for a dry run)
+ *       202:
+ *         description: Broadcast but not mined yet; the transaction is still tracked
+ *       400:
+ *         description: Invalid input parameters, or not an NFT contract
+ *       403:
+ *         description: Refused by the spending policy
+ *       404:
+ *         description: No contract at this address
+ *       500:
+ *         description: Server error
+ */
+router.post('/nft/:contract/transfer', requireStandard(), async (req, res, next) => {
+  try {
+    const { to, tokenId, amount, owner, data, wallet, from, feeStrategy, dryRun = false } = req.body;
+
+    if (to === undefined || tokenId === undefined) {
+      return badRequest(res, 'Missing required parameters: to and tokenId');
+    }
+    try {
+      parseAddress(to, 'to');
+      parseTokenId(tokenId);
+      if (owner !== undefined) {
+        parseAddress(owner, 'owner');
+      }
+    } catch (error) {
+      return badRequest(res, error.message);
+    }
+    if (amount !== undefined) {
+      if (req.collection.standard !== NftStandard.ERC1155) {
+        return badRequest(res, 'amount only applies to ERC-1155 tokens');
+      }
+      if (!/^\d+$/.test(String(amount)) || BigInt(amount) === 0n) {
+        return badRequest(res, 'amount must be a whole number greater than zero');
+      }
+    }
+    if (data !== undefined && !ethers.isHexString(data, true)) {
+      return badRequest(res, 'data must be hex bytes');
+    }
+    if (feeStrategy !== undefined && !isFeeStrategy(feeStrategy)) {
+      return badRequest(res, `Invalid fee strategy. Use one of: ${Object.keys(FEE_STRATEGIES).join(', ')}`);
+    }
+    if (typeof dryRun !== 'boolean') {
+      return badRequest(res, 'dryRun must be a boolean');
+    }
+    if (from !== undefined && !ethers.isAddress(from)) {
+      return badRequest(res, 'Invalid address format');
+    }
+
+    let fromAddress;
+    try {
+      fromAddress = signer.resolveSender({ wallet, from });
+    } catch (error) {
+      return badRequest(res, error.message);
+    }
+
+    const result = await nftService.safeTransfer({
+      contract: req.collection.address,
+      from: fromAddress,
+      owner,
+      to,
+      tokenId,
+      amount,
+      data,
+      feeStrategy,
+      dryRun
+    });
+    res.status(result.status === TxStatus.PENDING ? 202 : 200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('NFT transfer failed:', { contract: req.collection.address, error: error.message });
+    if (error instanceof PolicyViolationError) {
+      return next(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      ...(error.transactionHash && { transactionHash: error.transactionHash })
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import transferService, { AMOUNT_UNITS, parseAmount } from '../services/transfers.js';
+import signer from '../services/signer.js';
+import { TxStatus } from '../services/txTracker.js';
+import { FEE_STRATEGIES, isFeeStrategy } from '../services/feeOracle.js';
+import { PolicyViolationError } from '../services/spendingPolicy.js';
+import { parseAddress } from '../utils/address.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Send native MON from a server wallet
+ *     description: Signs locally and broadcasts a native transfer. Responds 200 once it is mined, or 202
+ *       with the pending transaction if it is not mined within 30 seconds; follow it with
+ *       GET /api/tx/{hash}/status. Mixed-case addresses must have a valid EIP-55 checksum.
+ *     tags: [API]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *               - amount
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 description: Recipient address
+ *               amount:
+ *                 type: string
+ *                 description: Amount to send, e.g. "0.5" MON or "500000000000000000" wei
+ *               unit:
+ *                 type: string
+ *                 enum: [MON, wei]
+ *                 default: MON
+ *               wallet:
+ *                 type: string
+ *                 description: Name of the wallet that signs (see GET /api/wallets; defaults to the default wallet)
+ *               from:
+ *                 type: string
+ *                 description: Address of a loaded wallet to sign with, such as a derived account
+ *               feeStrategy:
+ *                 type: string
+ *                 enum: [slow, normal, fast]
+ *                 description: Fee strategy (defaults to FEE_STRATEGY)
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Simulate the transfer instead of sending it
+ *     responses:
+ *       200:
+ *         description: The mined transaction (or the simulation result for a dry run)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hash:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, mined, confirmed]
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                       description: Amount in wei
+ *                     blockNumber:
+ *                       type: string
+ *       202:
+ *         description: Broadcast but not mined yet; the transaction is still tracked
+ *       400:
+ *         description: Invalid input parameters
+ *       403:
+ *         description: Refused by the spending policy
+ *       500:
+ *         description: Server error
+ */
+router.post('/transfers', async (req, res, next) => {
+  try {
+    const { to, amount, unit = 'MON', wallet, from, feeStrategy, dryRun = false } = req.body;
+
+    if (to === undefined || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: to and amount'
+      });
+    }
+    if (!AMOUNT_UNITS.includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid unit. Use one of: ${AMOUNT_UNITS.join(', ')}`
+      });
+    }
+    try {
+      parseAddress(to, 'to');
+      parseAmount(amount, unit);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (feeStrategy !== undefined && !isFeeStrategy(feeStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid fee strategy. Use one of: ${Object.keys(FEE_STRATEGIES).join(', ')}`
+      });
+    }
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be a boolean'
+      });
+    }
+    if (from !== undefined && !ethers.isAddress(from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format'
+      });
+    }
+
+    let fromAddress;
+    try {
+      fromAddress = signer.resolveSender({ wallet, from });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const result = await transferService.sendNative({ from: fromAddress, to, amount, unit, feeStrategy, dryRun });
+    res.status(result.status === TxStatus.PENDING ? 202 : 200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to send transfer:', { error: error.message });
+    if (error instanceof PolicyViolationError) {
+      return next(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      ...(error.transactionHash && { transactionHash: error.transactionHash })
+    });
+  }
+});
+
+export default router;
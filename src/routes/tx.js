@@ -0,0 +1,231 @@
+import express from 'express';
+import txTracker, { TxStatus } from '../services/txTracker.js';
+import signer from '../services/signer.js';
+import { FEE_STRATEGIES, isFeeStrategy } from '../services/feeOracle.js';
+import { PolicyViolationError } from '../services/spendingPolicy.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * @swagger
+ * /api/tx/{hash}/status:
+ *   get:
+ *     summary: Get the lifecycle status of a transaction
+ *     description: Transactions submitted by this server are reported from the tracker (pending, mined,
+ *       confirmed, failed, dropped or replaced). Other hashes are looked up on chain.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: hash
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The transaction hash
+ *     responses:
+ *       200:
+ *         description: Transaction status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hash:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, mined, confirmed, failed, dropped, replaced]
+ *                     blockNumber:
+ *                       type: string
+ *                     confirmations:
+ *                       type: integer
+ *                     gasUsed:
+ *                       type: string
+ *                     replacedBy:
+ *                       type: string
+ *                     error:
+ *                       type: string
+ *                     tracked:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid transaction hash
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/tx/:hash/status', async (req, res) => {
+  try {
+    const { hash } = req.params;
+
+    if (!TX_HASH_PATTERN.test(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transaction hash format'
+      });
+    }
+
+    const status = await txTracker.getStatus(hash);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Failed to get transaction status:', { hash: req.params.hash, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Shared by speed-up and cancel: validate, then replace the pending transaction
+const replaceHandler = (mode) => async (req, res, next) => {
+  try {
+    const { hash } = req.params;
+    const { feeStrategy } = req.body || {};
+
+    if (!TX_HASH_PATTERN.test(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transaction hash format'
+      });
+    }
+    if (feeStrategy && !isFeeStrategy(feeStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid fee strategy. Use one of: ${Object.keys(FEE_STRATEGIES).join(', ')}`
+      });
+    }
+
+    const record = txTracker.get(hash);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not tracked by this server'
+      });
+    }
+    if (record.status !== TxStatus.PENDING) {
+      return res.status(409).json({
+        success: false,
+        error: `Transaction is ${record.status}; only pending transactions can be replaced`
+      });
+    }
+
+    const replacement = await signer.replaceTransaction(hash, { mode, feeStrategy });
+    res.json({
+      success: true,
+      data: replacement
+    });
+  } catch (error) {
+    logger.error('Failed to replace transaction:', { hash: req.params.hash, mode, error: error.message });
+    if (error instanceof PolicyViolationError) {
+      return next(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/tx/{hash}/speed-up:
+ *   post:
+ *     summary: Speed up a stuck transaction
+ *     description: Re-sends a pending transaction submitted by this server with the same nonce and higher
+ *       fees. Each fee is raised by at least MIN_FEE_BUMP percent, or to the chosen strategy's suggestion
+ *       if that is higher. The replacement is tracked like any other transaction.
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: hash
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hash of the pending transaction
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               feeStrategy:
+ *                 type: string
+ *                 enum: [slow, normal, fast]
+ *                 default: fast
+ *     responses:
+ *       200:
+ *         description: The tracked replacement transaction
+ *       400:
+ *         description: Invalid transaction hash or fee strategy
+ *       404:
+ *         description: Transaction not tracked by this server
+ *       403:
+ *         description: Refused by the spending policy
+ *       409:
+ *         description: Transaction is no longer pending
+ *       500:
+ *         description: Server error
+ */
+router.post('/tx/:hash/speed-up', replaceHandler('speedup'));
+
+/**
+ * @swagger
+ * /api/tx/{hash}/cancel:
+ *   post:
+ *     summary: Cancel a stuck transaction
+ *     description: Replaces a pending transaction submitted by this server with a zero-value transfer to
+ *       the sender at the same nonce and higher fees. Once the cancellation is mined, the original is
+ *       reported as replaced with the error "Transaction cancelled".
+ *     tags: [API]
+ *     parameters:
+ *       - in: path
+ *         name: hash
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hash of the pending transaction
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               feeStrategy:
+ *                 type: string
+ *                 enum: [slow, normal, fast]
+ *                 default: fast
+ *     responses:
+ *       200:
+ *         description: The tracked cancellation transaction
+ *       400:
+ *         description: Invalid transaction hash or fee strategy
+ *       404:
+ *         description: Transaction not tracked by this server
+ *       403:
+ *         description: Refused by the spending policy
+ *       409:
+ *         description: Transaction is no longer pending
+ *       500:
+ *         description: Server error
+ */
+router.post('/tx/:hash/cancel', replaceHandler('cancel'));
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import walletManager, { WALLET_NAME_PATTERN, WalletConflictError } from '../services/walletManager.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/wallets:
+ *   get:
+ *     summary: List the server wallets
+ *     description: Wallets loaded from encrypted keystores in KEYSTORE_DIR, accounts derived from the
+ *       HD mnemonic, and PRIVATE_KEY as "default". Write endpoints take a wallet name in their `wallet`
+ *       parameter or a wallet address in `from`.
+ *     tags: [API]
+ *     responses:
+ *       200:
+ *         description: Wallet names and addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       address:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                         enum: [keystore, hd, env]
+ *                       index:
+ *                         type: integer
+ *                         description: Derivation index (HD wallets only)
+ *                       path:
+ *                         type: string
+ *                         description: Derivation path (HD wallets only)
+ *                       isDefault:
+ *                         type: boolean
+ */
+router.get('/wallets', (req, res) => {
+  res.json({
+    success: true,
+    data: walletManager.list()
+  });
+});
+
+/**
+ * @swagger
+ * /api/wallets/derive:
+ *   post:
+ *     summary: Derive an account from the HD mnemonic
+ *     description: Derives m/44'/60'/0'/0/{index} from HD_MNEMONIC and registers it as a wallet that can
+ *       sign writes. Without an index, the next unused index is taken. Deriving an index again returns
+ *       its existing wallet.
+ *     tags: [API]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 minimum: 0
+ *               name:
+ *                 type: string
+ *                 description: Wallet name (defaults to hd-<index>)
+ *     responses:
+ *       200:
+ *         description: The derived wallet (name, address, index, path)
+ *       400:
+ *         description: Invalid index or name
+ *       409:
+ *         description: Name already in use, or index already derived under another name
+ *       503:
+ *         description: No HD mnemonic configured
+ */
+router.post('/wallets/derive', async (req, res) => {
+  try {
+    const { index, name } = req.body || {};
+
+    if (!walletManager.hdEnabled) {
+      return res.status(503).json({
+        success: false,
+        error: 'HD wallet is not configured: set HD_MNEMONIC or HD_MNEMONIC_FILE'
+      });
+    }
+    if (index !== undefined && (!Number.isInteger(index) || index < 0 || index > 2 ** 31 - 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'index must be a non-negative integer below 2^31'
+      });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !WALLET_NAME_PATTERN.test(name))) {
+      return res.status(400).json({
+        success: false,
+        error: 'name may only contain letters, digits, - and _'
+      });
+    }
+
+    const wallet = await walletManager.derive({ index, name });
+    res.json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    logger.error('Failed to derive wallet:', { error: error.message });
+    res.status(error instanceof WalletConflictError ? 409 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
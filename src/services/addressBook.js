@@ -0,0 +1,57 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PATH = join(__dirname, '../../address-book.json');
+
+/**
+ * Named addresses kept in a local JSON file mapping names to addresses:
+ *
+ *   { "treasury": "0x...", "faucet": "0x..." }
+ *
+ * The file is re-read whenever it changes on disk; a missing file is an empty book.
+ */
+class AddressBook {
+  constructor() {
+    this.path = process.env.ADDRESS_BOOK_PATH || DEFAULT_PATH;
+    this.cache = { mtimeMs: null, entries: [] };
+  }
+
+  async entries() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.path);
+    } catch (error) {
+      return [];
+    }
+
+    if (stat.mtimeMs === this.cache.mtimeMs) {
+      return this.cache.entries;
+    }
+
+    try {
+      const raw = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+      const entries = Object.entries(raw)
+        .filter(([name, address]) => {
+          if (ethers.isAddress(address)) return true;
+          logger.warn('Skipping invalid address book entry:', { name });
+          return false;
+        })
+        .map(([name, address]) => ({ name, address: ethers.getAddress(address) }));
+
+      this.cache = { mtimeMs: stat.mtimeMs, entries };
+      logger.info('Address book loaded:', { path: this.path, entries: entries.length });
+      return entries;
+    } catch (error) {
+      logger.error('Failed to load address book:', { path: this.path, error: error.message });
+      return [];
+    }
+  }
+}
+
+export default new AddressBook();
@@ -0,0 +1,152 @@
+import EventEmitter from 'events';
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+
+export const ApprovalStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXECUTED: 'executed',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Holds writes requested by MCP agents until an operator approves or rejects
+ * them. An approved item runs its write through the normal write path; its
+ * outcome is kept on the item.
+ *
+ * Events:
+ *   approvalRequested (item) - a new item is waiting for a decision
+ *   approvalUpdated (item)   - approved, rejected, expired, executed or failed
+ */
+class ApprovalQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.enabled = process.env.REQUIRE_APPROVAL !== 'false';
+    this.TTL = parseInt(process.env.APPROVAL_TTL || '3600000'); // 1 hour
+    this.MAX_ITEMS = 500;
+
+    this.items = new Map();
+    // Writes waiting for a decision, kept apart from the JSON-safe items
+    this.executors = new Map();
+
+    if (this.enabled && !process.env.APPROVAL_TOKEN) {
+      logger.warn('REQUIRE_APPROVAL is on but APPROVAL_TOKEN is not set: queued writes cannot be approved');
+    }
+  }
+
+  /**
+   * Queue a write. `execute` performs it once approved; `preview` is an optional
+   * dry-run result shown to the operator.
+   */
+  submit({ tool, args, preview = null, requestedBy = null, execute }) {
+    const now = Date.now();
+    const item = {
+      id: randomUUID(),
+      status: ApprovalStatus.PENDING,
+      tool,
+      args,
+      preview,
+      requestedBy,
+      reason: null,
+      decidedBy: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      expiresAt: now + this.TTL,
+      decidedAt: null,
+      updatedAt: now
+    };
+
+    this.items.set(item.id, item);
+    this.executors.set(item.id, execute);
+    setTimeout(() => this.expire(item.id), this.TTL).unref();
+    this.prune();
+
+    logger.info('Write queued for approval:', { id: item.id, tool, requestedBy });
+    this.emit('approvalRequested', item);
+    return item;
+  }
+
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  list({ status } = {}) {
+    return Array.from(this.items.values())
+      .filter(item => !status || item.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Approve a pending item and start its write. Returns the item right away; the
+   * write's result or error arrives later through approvalUpdated.
+   */
+  approve(id, { reason = null, decidedBy = null } = {}) {
+    const item = this.decide(id, ApprovalStatus.APPROVED, { reason, decidedBy });
+    const execute = this.executors.get(id);
+    this.executors.delete(id);
+
+    Promise.resolve()
+      .then(() => execute())
+      .then(result => this.update(item, { status: ApprovalStatus.EXECUTED, result }))
+      .catch(error => {
+        logger.error('Approved write failed:', { id, tool: item.tool, sessionId: item.requestedBy, error: error.message });
+        this.update(item, {
+          status: ApprovalStatus.FAILED,
+          error: error.message,
+          ...(error.violations && { violations: error.violations })
+        });
+      });
+
+    return item;
+  }
+
+  reject(id, { reason, decidedBy = null }) {
+    const item = this.decide(id, ApprovalStatus.REJECTED, { reason, decidedBy });
+    this.executors.delete(id);
+    return item;
+  }
+
+  decide(id, status, { reason, decidedBy }) {
+    const item = this.get(id);
+    if (!item) {
+      throw new Error(`Approval not found: ${id}`);
+    }
+    if (item.status !== ApprovalStatus.PENDING) {
+      throw new Error(`Approval ${id} is already ${item.status}`);
+    }
+
+    logger.info('Approval decided:', { id, tool: item.tool, status, reason, decidedBy });
+    return this.update(item, { status, reason, decidedBy, decidedAt: Date.now() });
+  }
+
+  expire(id) {
+    const item = this.get(id);
+    if (!item || item.status !== ApprovalStatus.PENDING) return;
+
+    this.executors.delete(id);
+    logger.info('Approval expired:', { id, tool: item.tool });
+    this.update(item, { status: ApprovalStatus.EXPIRED, reason: 'No decision before expiry' });
+  }
+
+  update(item, changes) {
+    Object.assign(item, changes, { updatedAt: Date.now() });
+    this.emit('approvalUpdated', item);
+    return item;
+  }
+
+  // Forget the oldest decided items beyond MAX_ITEMS
+  prune() {
+    const excess = this.items.size - this.MAX_ITEMS;
+    if (excess <= 0) return;
+
+    Array.from(this.items.values())
+      .filter(item => item.status !== ApprovalStatus.PENDING && item.status !== ApprovalStatus.APPROVED)
+      .slice(0, excess)
+      .forEach(item => this.items.delete(item.id));
+  }
+}
+
+export default new ApprovalQueue();
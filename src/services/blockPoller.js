@@ -0,0 +1,121 @@
+import EventEmitter from 'events';
+import monadService from './monad.js';
+import logger, { logContext } from '../utils/logger.js';
+
+/**
+ * Polls for new blocks while at least one consumer (SSE clients, MCP sessions)
+ * holds a reference, and keeps a short history of the blocks it has seen.
+ *
+ * Events:
+ *   newBlock (blockInfo, block) - a block newer than the last one seen
+ *   pollingError (message)      - polling keeps failing
+ */
+class BlockPoller extends EventEmitter {
+  constructor() {
+    super();
+    this.POLLING_INTERVAL = 2000;
+    this.ERROR_POLLING_INTERVAL = 5000;
+    this.MAX_CONSECUTIVE_ERRORS = 3;
+    this.MAX_RECENT_BLOCKS = 20;
+
+    this.consumers = 0;
+    this.isPolling = false;
+    this.pollingInterval = null;
+    this.lastBlock = null;
+    this.consecutiveErrors = 0;
+    this.recentBlocks = [];
+  }
+
+  acquire() {
+    this.consumers++;
+    if (this.consumers === 1) {
+      // Polling outlives the subscriber that started it, so it logs under no session
+      logContext.exit(() => this.start());
+    }
+  }
+
+  release() {
+    this.consumers = Math.max(0, this.consumers - 1);
+    if (this.consumers === 0) {
+      this.stop();
+    }
+  }
+
+  async start() {
+    if (this.isPolling) return;
+
+    try {
+      this.isPolling = true;
+      this.lastBlock = (await monadService.getLatestBlockNumber()).toString();
+
+      const poll = async () => {
+        try {
+          const currentBlock = (await monadService.getLatestBlockNumber()).toString();
+          if (BigInt(currentBlock) > BigInt(this.lastBlock)) {
+            const block = await monadService.web3.eth.getBlock(currentBlock, true);
+            if (block) {
+              const blockInfo = {
+                number: block.number.toString(),
+                hash: block.hash,
+                timestamp: block.timestamp.toString(),
+                gasUsed: (block.gasUsed || '0').toString(),
+                miner: block.miner,
+                baseFeePerGas: block.baseFeePerGas ? block.baseFeePerGas.toString() : '0',
+                difficulty: block.difficulty ? block.difficulty.toString() : '0',
+                totalDifficulty: block.totalDifficulty ? block.totalDifficulty.toString() : '0',
+                transactionCount: block.transactions.length
+              };
+
+              this.lastBlock = currentBlock;
+              this.remember(blockInfo);
+              this.emit('newBlock', blockInfo, block);
+              logger.info('New block detected:', { blockNumber: blockInfo.number });
+            }
+          }
+          this.consecutiveErrors = 0;
+        } catch (error) {
+          logger.error('Error in block polling:', { error: error.message, global: true });
+          this.consecutiveErrors++;
+
+          if (this.consecutiveErrors >= this.MAX_CONSECUTIVE_ERRORS) {
+            this.emit('pollingError', 'Experiencing temporary issues with block updates');
+          }
+        }
+
+        // stop() may have run while this poll was in flight
+        if (this.isPolling) {
+          this.pollingInterval = setTimeout(
+            poll,
+            this.consecutiveErrors ? this.ERROR_POLLING_INTERVAL : this.POLLING_INTERVAL
+          );
+        }
+      };
+
+      await poll();
+      logger.info('Block polling started');
+    } catch (error) {
+      logger.error('Error starting block polling:', { error: error.message });
+      this.isPolling = false;
+      setTimeout(() => {
+        if (this.consumers > 0) this.start();
+      }, this.ERROR_POLLING_INTERVAL);
+    }
+  }
+
+  stop() {
+    if (!this.isPolling) return;
+
+    clearTimeout(this.pollingInterval);
+    this.pollingInterval = null;
+    this.isPolling = false;
+    this.consecutiveErrors = 0;
+    logger.info('Block polling stopped');
+  }
+
+  remember(blockInfo) {
+    this.recentBlocks.unshift(blockInfo);
+    this.recentBlocks.length = Math.min(this.recentBlocks.length, this.MAX_RECENT_BLOCKS);
+  }
+}
+
+export default new BlockPoller();
@@ -2,9 +2,24 @@ import monadService from './monad.js';
 import logger from '../utils/logger.js';
 
 class ChainService {
-  async executeChain(value, fromAddress) {
+  /**
+   * Store `value`, read it back and analyze the gas of the block it landed in.
+   * With `dryRun` only the store is simulated: the later steps need it mined.
+   */
+  async executeChain(value, fromAddress, { dryRun = false } = {}) {
     try {
-      logger.info('Starting execution chain:', { value, fromAddress });
+      logger.info('Starting execution chain:', { value, fromAddress, dryRun });
+
+      if (dryRun) {
+        const stored = await monadService.storeData(value, fromAddress, { dryRun: true });
+        return {
+          dryRun: true,
+          wouldSucceed: stored.wouldSucceed,
+          stored,
+          retrieved: { value: stored.wouldSucceed ? value : null },
+          gasAnalysis: { blockGasUsed: null, transactionGasUsed: stored.gas?.estimatedGas ?? null }
+        };
+      }
 
       // 1. Store value in contract
       logger.info('Step 1: Storing value in contract');
@@ -51,7 +66,12 @@ class ChainService {
     }
   }
 
-  async parallelBlockAnalysis() {
+  /**
+   * Options:
+   *   signal     - AbortSignal passed through to each block analysis
+   *   onProgress - called with (fetchedReceipts, totalTransactions) summed over all blocks
+   */
+  async parallelBlockAnalysis({ signal, onProgress } = {}) {
     try {
       logger.info('Starting parallel block analysis');
 
@@ -69,10 +89,24 @@ class ChainService {
 
       logger.info('Analyzing blocks in parallel:', { blockNumbers });
 
+      // Track receipts fetched per block to report combined progress
+      const counts = new Map();
+      const reportProgress = (blockNumber) => (fetched, total) => {
+        counts.set(blockNumber, { fetched, total });
+        const sums = Array.from(counts.values()).reduce(
+          (acc, count) => ({ fetched: acc.fetched + count.fetched, total: acc.total + count.total }),
+          { fetched: 0, total: 0 }
+        );
+        onProgress?.(sums.fetched, sums.total);
+      };
+
       // Analyze blocks in parallel
       const analysisPromises = blockNumbers.map(blockNumber => 
-        monadService.analyzeBlock(blockNumber)
+        monadService.analyzeBlock(blockNumber, { signal, onProgress: reportProgress(blockNumber) })
           .catch(error => {
+            if (signal?.aborted) {
+              throw error;
+            }
             logger.error('Error analyzing block:', { 
               blockNumber,
               error: error.message
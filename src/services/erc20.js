@@ -0,0 +1,269 @@
+import { ethers } from 'ethers';
+import { web3 } from '../config/web3.js';
+import { erc20Abi } from '../config/tokenAbis.js';
+import signer from './signer.js';
+import simulator from './simulator.js';
+import { parseAddress } from '../utils/address.js';
+import { optionalCall } from '../utils/contractCalls.js';
+import logger from '../utils/logger.js';
+
+export const TOKEN_AMOUNT_UNITS = ['token', 'base'];
+
+/**
+ * An amount in whole tokens (at most `decimals` fractional digits) or in base
+ * units (integer) as base units. Throws on malformed amounts.
+ */
+export const parseTokenAmount = (amount, unit = 'token', decimals = null) => {
+  const text = String(amount).trim();
+
+  if (unit === 'base') {
+    if (!/^\d+$/.test(text)) {
+      throw new Error('Amounts in base units must be whole numbers');
+    }
+    return BigInt(text);
+  }
+  if (unit !== 'token') {
+    throw new Error(`Invalid unit. Use one of: ${TOKEN_AMOUNT_UNITS.join(', ')}`);
+  }
+  if (decimals === null) {
+    throw new Error('Token does not report its decimals; give the amount in base units');
+  }
+  if (!/^\d+(\.\d+)?$/.test(text) || (text.split('.')[1] ?? '').length > decimals) {
+    throw new Error(`Amounts of this token must be decimal numbers with at most ${decimals} decimals`);
+  }
+  return ethers.parseUnits(text, decimals);
+};
+
+const formatAmount = (value, decimals) => (decimals === null ? null : ethers.formatUnits(value, decimals));
+
+/**
+ * ERC-20 tokens read and written directly over RPC, so balances are current even
+ * when the BlockVision index lags. Writes are signed by a server wallet. Amounts
+ * are returned in base units (strings) next to their decimal form.
+ */
+class Erc20Service {
+  constructor() {
+    // name, symbol and decimals never change, so they are read once per token
+    this.metadata = new Map();
+  }
+
+  contract(token) {
+    return new web3.eth.Contract(erc20Abi, token);
+  }
+
+  /**
+   * Name, symbol and decimals of a token. All three are optional in ERC-20 and
+   * are null when the token does not implement them. Only tokens with decimals are
+   * cached, so one that lacks them is read again next time.
+   */
+  async getMetadata(tokenAddress) {
+    const token = parseAddress(tokenAddress, 'token');
+    const cached = this.metadata.get(token);
+    if (cached) {
+      return cached;
+    }
+
+    const code = await web3.eth.getCode(token);
+    if (!code || code === '0x') {
+      throw new Error(`No contract deployed at ${token}`);
+    }
+
+    const { methods } = this.contract(token);
+    const [name, symbol, decimals] = await Promise.all([
+      optionalCall(methods.name().call()),
+      optionalCall(methods.symbol().call()),
+      optionalCall(methods.decimals().call())
+    ]);
+
+    const metadata = { address: token, name, symbol, decimals: decimals === null ? null : Number(decimals) };
+    if (metadata.decimals !== null) {
+      this.metadata.set(token, metadata);
+    }
+    return metadata;
+  }
+
+  async getToken(tokenAddress) {
+    const metadata = await this.getMetadata(tokenAddress);
+    const totalSupply = BigInt(await this.contract(metadata.address).methods.totalSupply().call());
+    return {
+      ...metadata,
+      totalSupply: totalSupply.toString(),
+      totalSupplyFormatted: formatAmount(totalSupply, metadata.decimals)
+    };
+  }
+
+  async balanceOf(tokenAddress, ownerAddress) {
+    const { address, symbol, decimals } = await this.getMetadata(tokenAddress);
+    const owner = parseAddress(ownerAddress, 'owner');
+    const balance = BigInt(await this.contract(address).methods.balanceOf(owner).call());
+
+    logger.info('ERC-20 balance retrieved:', { token: address, owner, balance: balance.toString() });
+    return {
+      token: address,
+      symbol,
+      decimals,
+      owner,
+      balance: balance.toString(),
+      balanceFormatted: formatAmount(balance, decimals)
+    };
+  }
+
+  async allowance(tokenAddress, ownerAddress, spenderAddress) {
+    const { address, symbol, decimals } = await this.getMetadata(tokenAddress);
+    const owner = parseAddress(ownerAddress, 'owner');
+    const spender = parseAddress(spenderAddress, 'spender');
+    const allowance = BigInt(await this.contract(address).methods.allowance(owner, spender).call());
+
+    return {
+      token: address,
+      symbol,
+      decimals,
+      owner,
+      spender,
+      allowance: allowance.toString(),
+      allowanceFormatted: formatAmount(allowance, decimals)
+    };
+  }
+
+  /**
+   * Send `amount` of the token from the signing wallet to `to`. Writes resolve
+   * with the tracked transaction, or with the simulation when `dryRun` is set.
+   */
+  async transfer({ token, from, to, amount, unit = 'token', feeStrategy, dryRun = false }) {
+    const metadata = await this.getMetadata(token);
+    const recipient = parseAddress(to, 'to');
+    const value = this.positiveAmount(amount, unit, metadata);
+
+    return this.write(metadata, 'transfer', [recipient, value], {
+      from,
+      feeStrategy,
+      dryRun,
+      preview: () => this.balanceChanges(metadata, from, recipient, value)
+    });
+  }
+
+  /**
+   * Allow `spender` to move up to `amount` of the signing wallet's tokens. An
+   * amount of 0 revokes the allowance.
+   */
+  async approve({ token, from, spender, amount, unit = 'token', feeStrategy, dryRun = false }) {
+    const metadata = await this.getMetadata(token);
+    const spenderAddress = parseAddress(spender, 'spender');
+    const value = parseTokenAmount(amount, unit, metadata.decimals);
+
+    return this.write(metadata, 'approve', [spenderAddress, value], {
+      from,
+      feeStrategy,
+      dryRun,
+      preview: async () => {
+        const before = await this.readPending(metadata, 'allowance', from, spenderAddress);
+        return [this.allowanceChange(metadata, from, spenderAddress, before, value)];
+      }
+    });
+  }
+
+  /**
+   * Move `amount` of `owner`'s tokens to `to`, spending the allowance `owner`
+   * gave the signing wallet.
+   */
+  async transferFrom({ token, from, owner, to, amount, unit = 'token', feeStrategy, dryRun = false }) {
+    const metadata = await this.getMetadata(token);
+    const ownerAddress = parseAddress(owner, 'owner');
+    const recipient = parseAddress(to, 'to');
+    const value = this.positiveAmount(amount, unit, metadata);
+
+    return this.write(metadata, 'transferFrom', [ownerAddress, recipient, value], {
+      from,
+      feeStrategy,
+      dryRun,
+      preview: async () => {
+        const [balances, allowance] = await Promise.all([
+          this.balanceChanges(metadata, ownerAddress, recipient, value),
+          this.readPending(metadata, 'allowance', ownerAddress, from)
+        ]);
+        // Unlimited allowances are not spent down by common implementations
+        const after = allowance === null || allowance === ethers.MaxUint256 ? allowance : allowance - value;
+        return [...balances, this.allowanceChange(metadata, ownerAddress, from, allowance, after)];
+      }
+    });
+  }
+
+  positiveAmount(amount, unit, { decimals }) {
+    const value = parseTokenAmount(amount, unit, decimals);
+    if (value === 0n) {
+      throw new Error('Amount must be greater than zero');
+    }
+    return value;
+  }
+
+  async write({ address, symbol }, method, args, { from, feeStrategy, dryRun, preview }) {
+    const request = {
+      from,
+      to: address,
+      data: this.contract(address).methods[method](...args).encodeABI(),
+      feeStrategy,
+      label: `erc20.${method}`
+    };
+
+    logger.info('ERC-20 write requested:', { token: address, symbol, method, from, dryRun });
+    if (dryRun) {
+      return simulator.simulate(request, { stateChanges: await preview() });
+    }
+
+    try {
+      return await signer.submit(request);
+    } catch (error) {
+      logger.error('ERC-20 write failed:', {
+        token: address,
+        method,
+        from,
+        transactionHash: error.transactionHash,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // A view call against the pending state for dry runs; null if it fails
+  async readPending({ address }, method, ...args) {
+    try {
+      return BigInt(await this.contract(address).methods[method](...args).call({}, 'pending'));
+    } catch (error) {
+      logger.warn('Failed to read token state for dry run:', { token: address, method, error: error.message });
+      return null;
+    }
+  }
+
+  async balanceChanges(metadata, from, to, value) {
+    if (from.toLowerCase() === to.toLowerCase()) {
+      return [];
+    }
+
+    const [fromBalance, toBalance] = await Promise.all([
+      this.readPending(metadata, 'balanceOf', from),
+      this.readPending(metadata, 'balanceOf', to)
+    ]);
+    const change = (address, before, delta) => ({
+      type: 'tokenBalance',
+      token: metadata.address,
+      address,
+      before: before?.toString() ?? null,
+      after: before === null ? null : (before + delta).toString(),
+      delta: delta.toString()
+    });
+    return [change(from, fromBalance, -value), change(to, toBalance, value)];
+  }
+
+  allowanceChange({ address }, owner, spender, before, after) {
+    return {
+      type: 'allowance',
+      token: address,
+      owner,
+      spender,
+      before: before?.toString() ?? null,
+      after: after?.toString() ?? null
+    };
+  }
+}
+
+export default new Erc20Service();
@@ -0,0 +1,149 @@
+import { web3 } from '../config/web3.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Fee strategies: the priority fee percentile taken from recent blocks, and how
+ * much base fee growth maxFeePerGas should absorb (percent of the next base fee).
+ */
+export const FEE_STRATEGIES = {
+  slow: { percentile: 10, baseFeeMultiplier: 125 },
+  normal: { percentile: 50, baseFeeMultiplier: 200 },
+  fast: { percentile: 90, baseFeeMultiplier: 300 }
+};
+
+// Own keys only: "constructor" or "toString" are no strategies
+export const isFeeStrategy = (strategy) => typeof strategy === 'string' && Object.hasOwn(FEE_STRATEGIES, strategy);
+
+const PERCENTILES = Object.values(FEE_STRATEGIES).map(strategy => strategy.percentile);
+
+const median = (values) => {
+  if (!values.length) return 0n;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * EIP-1559 fee and gas limit estimation from eth_feeHistory,
+ * eth_maxPriorityFeePerGas and eth_estimateGas.
+ */
+class FeeOracle {
+  constructor() {
+    this.HISTORY_BLOCKS = parseInt(process.env.FEE_HISTORY_BLOCKS || '20');
+    this.GAS_LIMIT_MARGIN = parseInt(process.env.GAS_LIMIT_MARGIN || '20'); // percent added to estimates
+    this.DEFAULT_STRATEGY = process.env.FEE_STRATEGY || 'normal';
+  }
+
+  resolveStrategy(strategy = this.DEFAULT_STRATEGY) {
+    if (!isFeeStrategy(strategy)) {
+      throw new Error(`Unknown fee strategy: ${strategy}. Use one of: ${Object.keys(FEE_STRATEGIES).join(', ')}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Fee fields for every strategy. Chains without a base fee get a legacy gas price.
+   */
+  async getFeeSuggestions() {
+    const [history, nodePriorityFee] = await Promise.all([
+      web3.eth.getFeeHistory(this.HISTORY_BLOCKS, 'latest', PERCENTILES),
+      web3.eth.getMaxPriorityFeePerGas().then(BigInt).catch(() => 0n)
+    ]);
+
+    // The last entry is the base fee of the next block
+    const baseFees = history.baseFeePerGas || [];
+    const baseFeePerGas = baseFees.length ? BigInt(baseFees[baseFees.length - 1]) : 0n;
+
+    if (baseFeePerGas === 0n) {
+      const gasPrice = BigInt(await web3.eth.getGasPrice());
+      return {
+        type: 0,
+        baseFeePerGas: null,
+        strategies: Object.fromEntries(Object.keys(FEE_STRATEGIES).map(name => [name, { gasPrice }]))
+      };
+    }
+
+    const strategies = Object.fromEntries(Object.entries(FEE_STRATEGIES).map(([name, strategy], index) => {
+      const rewards = (history.reward || [])
+        .map(blockRewards => BigInt(blockRewards[index] ?? 0))
+        .filter(reward => reward > 0n);
+      const historicalTip = median(rewards);
+
+      // The node's suggestion is a floor except for slow, which only falls back to it
+      let maxPriorityFeePerGas = historicalTip;
+      if (name !== 'slow' && nodePriorityFee > maxPriorityFeePerGas) {
+        maxPriorityFeePerGas = nodePriorityFee;
+      }
+      if (maxPriorityFeePerGas === 0n) {
+        maxPriorityFeePerGas = nodePriorityFee;
+      }
+
+      return [name, {
+        maxPriorityFeePerGas,
+        maxFeePerGas: baseFeePerGas * BigInt(strategy.baseFeeMultiplier) / 100n + maxPriorityFeePerGas
+      }];
+    }));
+
+    return { type: 2, baseFeePerGas, strategies };
+  }
+
+  /**
+   * Transaction fee fields ({ type, maxFeePerGas, maxPriorityFeePerGas } or
+   * { type, gasPrice }) for one strategy.
+   */
+  async getFeeFields(strategy) {
+    const name = this.resolveStrategy(strategy);
+    const { type, strategies } = await this.getFeeSuggestions();
+    return { type, ...strategies[name] };
+  }
+
+  /**
+   * eth_estimateGas plus the configured safety margin, at `blockTag` (default latest).
+   */
+  async estimateGasLimit({ from, to, data, value, blockTag = 'latest' }) {
+    const estimatedGas = BigInt(await web3.eth.estimateGas({
+      from,
+      to,
+      data: data ?? '0x',
+      value: BigInt(value ?? 0)
+    }, blockTag));
+    const gasLimit = estimatedGas * BigInt(100 + this.GAS_LIMIT_MARGIN) / 100n;
+    return { estimatedGas, gasLimit };
+  }
+
+  /**
+   * Fee suggestions for every strategy and, when a target is given, the gas limit
+   * and worst-case cost of the transaction under the chosen strategy.
+   */
+  async estimate({ from, to, data, value, strategy } = {}) {
+    const name = this.resolveStrategy(strategy);
+    const fees = await this.getFeeSuggestions();
+    const toStrings = (fields) => Object.fromEntries(
+      Object.entries(fields).map(([key, amount]) => [key, amount.toString()])
+    );
+
+    const result = {
+      strategy: name,
+      type: fees.type,
+      baseFeePerGas: fees.baseFeePerGas?.toString() ?? null,
+      fees: Object.fromEntries(Object.entries(fees.strategies).map(([key, fields]) => [key, toStrings(fields)]))
+    };
+
+    if (to) {
+      const { estimatedGas, gasLimit } = await this.estimateGasLimit({ from, to, data, value });
+      const selected = fees.strategies[name];
+      const maxCost = gasLimit * (selected.maxFeePerGas ?? selected.gasPrice);
+      result.gas = {
+        estimatedGas: estimatedGas.toString(),
+        gasLimit: gasLimit.toString(),
+        marginPercent: this.GAS_LIMIT_MARGIN,
+        maxCost: maxCost.toString(),
+        maxCostMon: web3.utils.fromWei(maxCost, 'ether')
+      };
+    }
+
+    logger.info('Estimated fees:', { strategy: name, to, gasLimit: result.gas?.gasLimit });
+    return result;
+  }
+}
+
+export default new FeeOracle();
@@ -3,6 +3,10 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
 import { contractConfig } from '../config/contractConfig.js';
+import { web3, httpRpcUrl } from '../config/web3.js';
+import signer from './signer.js';
+import simulator from './simulator.js';
+import approvalQueue from './approvalQueue.js';
 import EventEmitter from 'events';
 import WebSocket from 'ws';
 
@@ -11,7 +15,6 @@ dotenv.config();
 class MonadService extends EventEmitter {
   constructor() {
     super();
-    const httpRpcUrl = process.env.MONAD_RPC_URL || 'http://localhost:8545';
     
     this.blockvisionApiKey = process.env.BLOCKVISION_API_KEY;
     this.blockvisionBaseUrl = 'https://api.blockvision.org/v2/monad';
@@ -26,9 +29,10 @@ class MonadService extends EventEmitter {
     this.minRequestInterval = 1000; // Minimum 1 second between requests
     this.maxRetries = 3;
     this.retryDelay = 2000; // 2 seconds between retries
+    this.receiptConcurrency = parseInt(process.env.RECEIPT_CONCURRENCY || '10');
     
-    // Initialize Web3 with HTTP provider
-    this.web3 = new Web3(httpRpcUrl);
+    // Shared Web3 HTTP client
+    this.web3 = web3;
     
     // Cache for frequently requested data
     this.cache = {
@@ -50,9 +54,6 @@ class MonadService extends EventEmitter {
     this.serverIdentifier = process.env.SERVER_IDENTIFIER || `mcp-${Date.now()}`;
     this.globalMcpEnabled = process.env.ENABLE_GLOBAL_MCP === 'true';
     
-    // Set default gas settings
-    this.defaultGasPrice = '1000000000'; // 1 Gwei
-    this.defaultGasLimit = '100000';    // 100k gas
     this.isMonadTestnet = httpRpcUrl.includes('monad.xyz');
     
     if (this.isMonadTestnet) {
@@ -277,9 +278,24 @@ class MonadService extends EventEmitter {
       let response;
       
       switch (type) {
-        case 'store_data':
-          response = await this.storeData(data.greeting, data.fromAddress);
+        case 'store_data': {
+          // The relayed sender must be a wallet this server holds, as on the REST endpoint;
+          // without one the default wallet signs and the write is attributed to it
+          const fromAddress = signer.resolveSender({ from: data.fromAddress });
+          // Writes relayed from the global MCP network wait for an operator like local agents do
+          if (approvalQueue.enabled) {
+            const item = approvalQueue.submit({
+              tool: 'store_data',
+              args: { greeting: data.greeting, fromAddress },
+              requestedBy: 'global-mcp',
+              execute: () => this.storeData(data.greeting, fromAddress)
+            });
+            response = { approvalId: item.id, status: item.status };
+          } else {
+            response = await this.storeData(data.greeting, fromAddress);
+          }
           break;
+        }
           
         case 'get_data':
           response = await this.getData();
@@ -348,27 +364,40 @@ class MonadService extends EventEmitter {
     }
   }
 
-  async storeData(greeting, fromAddress) {
-    logger.info('Attempting to store greeting:', { greeting, fromAddress });
-    try {
-      // Validate gas settings
-      if (!this.defaultGasPrice || !this.defaultGasLimit) {
-        throw new Error('Gas settings are undefined');
-      }
+  /**
+   * Options:
+   *   feeStrategy - slow, normal or fast (see FeeOracle)
+   *   dryRun      - simulate against the pending state instead of sending (see Simulator)
+   */
+  async storeData(greeting, fromAddress, { feeStrategy, dryRun = false } = {}) {
+    logger.info('Attempting to store greeting:', { greeting, fromAddress, feeStrategy, dryRun });
+    const request = {
+      from: fromAddress,
+      to: contractConfig.address,
+      data: this.contract.methods.setGreeting(greeting).encodeABI(),
+      feeStrategy,
+      label: 'setGreeting'
+    };
 
-      // Timeout wrapper
-      const timeout = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Transaction timed out')), 30000); // 30s timeout
+    if (dryRun) {
+      const current = await this.contract.methods.greeting().call({}, 'pending').catch(error => {
+        logger.warn('Failed to read current greeting for dry run:', { error: error.message });
+        return null;
+      });
+      return simulator.simulate(request, {
+        stateChanges: [{
+          type: 'storage',
+          address: contractConfig.address,
+          field: 'greeting',
+          before: current,
+          after: greeting
+        }]
       });
+    }
 
-      const transaction = await Promise.race([
-        this.contract.methods.setGreeting(greeting).send({
-          from: fromAddress,
-          gas: this.defaultGasLimit,
-          gasPrice: this.defaultGasPrice
-        }),
-        timeout
-      ]);
+    try {
+      // Signed locally and broadcast as a raw transaction; gas and fees come from the fee oracle
+      const transaction = await signer.sendTransaction(request);
 
       const result = {
         transactionHash: transaction.transactionHash,
@@ -377,11 +406,20 @@ class MonadService extends EventEmitter {
       };
 
       logger.info('Successfully stored greeting:', result);
+
+      this.cache.greeting = {
+        value: greeting,
+        timestamp: Date.now(),
+        ttl: this.cache.greeting.ttl
+      };
+      this.emit('greetingUpdated', { ...result, updatedBy: fromAddress });
+
       return result;
     } catch (error) {
       logger.error('Transaction failed:', {
         greeting,
         fromAddress,
+        transactionHash: error.transactionHash,
         error: error.message,
         stack: error.stack
       });
@@ -628,6 +666,7 @@ class MonadService extends EventEmitter {
         }
       });
       logger.info('Successfully fetched token holders:', { contractAddress, pageIndex, pageSize });
+      this.emit('contractSeen', { address: contractAddress, type: 'token' });
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch token holders:', {
@@ -675,6 +714,7 @@ class MonadService extends EventEmitter {
         }
       });
       logger.info('Successfully fetched collection holders:', { contractAddress, pageIndex, pageSize });
+      this.emit('contractSeen', { address: contractAddress, type: 'collection' });
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch collection holders:', {
@@ -733,7 +773,12 @@ class MonadService extends EventEmitter {
     }
   }
 
-  async analyzeBlock(blockNumber) {
+  /**
+   * Options:
+   *   signal     - AbortSignal; stops fetching further receipts once aborted
+   *   onProgress - called with (fetchedReceipts, totalTransactions)
+   */
+  async analyzeBlock(blockNumber, { signal, onProgress } = {}) {
     try {
       logger.info('Analyzing block:', { blockNumber });
       
@@ -743,17 +788,32 @@ class MonadService extends EventEmitter {
         throw new Error('Block not found');
       }
 
-      // Process transactions
-      const transactions = await Promise.all(block.transactions.map(async (tx) => {
-        const receipt = await this.web3.eth.getTransactionReceipt(tx.hash);
-        return {
-          hash: tx.hash,
-          from: tx.from,
-          to: tx.to,
-          value: tx.value.toString(),
-          gasUsed: receipt.gasUsed.toString()
-        };
-      }));
+      // Fetch receipts with bounded concurrency so a busy block can be cancelled part way
+      const total = block.transactions.length;
+      const transactions = new Array(total);
+      let nextIndex = 0;
+      let fetched = 0;
+
+      const worker = async () => {
+        while (nextIndex < total) {
+          signal?.throwIfAborted();
+          const index = nextIndex++;
+          const tx = block.transactions[index];
+          const receipt = await this.web3.eth.getTransactionReceipt(tx.hash);
+          transactions[index] = {
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            value: tx.value.toString(),
+            gasUsed: receipt.gasUsed.toString()
+          };
+          fetched++;
+          onProgress?.(fetched, total);
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(this.receiptConcurrency, total) }, worker));
+      signal?.throwIfAborted();
 
       return {
         blockNumber: block.number.toString(),
@@ -763,10 +823,14 @@ class MonadService extends EventEmitter {
         transactions
       };
     } catch (error) {
-      logger.error('Failed to analyze block:', { 
-        blockNumber,
-        error: error.message
-      });
+      if (signal?.aborted) {
+        logger.info('Block analysis cancelled:', { blockNumber });
+      } else {
+        logger.error('Failed to analyze block:', { 
+          blockNumber,
+          error: error.message
+        });
+      }
       throw error;
     }
   }
@@ -0,0 +1,289 @@
+import { ethers } from 'ethers';
+import { web3 } from '../config/web3.js';
+import { erc165Abi, erc721Abi, erc1155Abi } from '../config/tokenAbis.js';
+import signer from './signer.js';
+import simulator from './simulator.js';
+import { parseAddress } from '../utils/address.js';
+import { isRejectedCall, optionalCall } from '../utils/contractCalls.js';
+import logger from '../utils/logger.js';
+
+// ERC-165 interface ids
+export const INTERFACE_IDS = {
+  erc165: '0x01ffc9a7',
+  erc721: '0x80ac58cd',
+  erc721Metadata: '0x5b5e139f',
+  erc1155: '0xd9b67a26',
+  erc1155MetadataUri: '0x0e89341c'
+};
+
+export const NftStandard = {
+  ERC721: 'erc721',
+  ERC1155: 'erc1155'
+};
+
+const STANDARD_NAMES = { erc721: 'ERC-721', erc1155: 'ERC-1155' };
+
+const INTERFACE_ID_PATTERN = /^0x[0-9a-fA-F]{8}$/;
+
+/**
+ * A token id (decimal uint256) as a bigint. Throws on anything else.
+ */
+export const parseTokenId = (tokenId) => {
+  const text = String(tokenId).trim();
+  if (!/^\d+$/.test(text) || BigInt(text) > ethers.MaxUint256) {
+    throw new Error('tokenId must be a whole number of at most 256 bits');
+  }
+  return BigInt(text);
+};
+
+export const parseInterfaceId = (interfaceId) => {
+  if (typeof interfaceId !== 'string' || !INTERFACE_ID_PATTERN.test(interfaceId)) {
+    throw new Error('interfaceId must be 4 bytes of hex, e.g. 0x80ac58cd');
+  }
+  return interfaceId.toLowerCase();
+};
+
+/**
+ * ERC-721 and ERC-1155 collections read and written directly over RPC. The
+ * standard of a collection is detected once through ERC-165 and decides which
+ * calls are made; transfers always use safeTransferFrom, so contract recipients
+ * must accept the tokens.
+ */
+class NftService {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  contract(abi, address) {
+    return new web3.eth.Contract(abi, address);
+  }
+
+  /**
+   * Whether a contract claims `interfaceId` through ERC-165. Contracts without
+   * ERC-165 (or whose call reverts) are reported as not supporting it; RPC
+   * failures are thrown.
+   */
+  async supportsInterface(contractAddress, interfaceId) {
+    const address = parseAddress(contractAddress, 'contract');
+    const id = parseInterfaceId(interfaceId);
+    try {
+      return Boolean(await this.contract(erc165Abi, address).methods.supportsInterface(id).call());
+    } catch (error) {
+      if (isRejectedCall(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The collection's standard (erc721, erc1155 or null) and the interfaces it
+   * supports. ERC-165 itself counts only when 0xffffffff is rejected, as the
+   * standard requires. Only NFT collections are cached, so a contract is looked at
+   * again if it is not one.
+   */
+  async detect(contractAddress) {
+    const address = parseAddress(contractAddress, 'contract');
+    const cached = this.collections.get(address);
+    if (cached) {
+      return cached;
+    }
+
+    const code = await web3.eth.getCode(address);
+    if (!code || code === '0x') {
+      throw new Error(`No contract deployed at ${address}`);
+    }
+
+    const [erc165, invalid] = await Promise.all([
+      this.supportsInterface(address, INTERFACE_IDS.erc165),
+      this.supportsInterface(address, '0xffffffff')
+    ]);
+    const interfaces = { erc165: erc165 && !invalid };
+    const others = Object.keys(INTERFACE_IDS).filter(name => name !== 'erc165');
+    const supported = interfaces.erc165
+      ? await Promise.all(others.map(name => this.supportsInterface(address, INTERFACE_IDS[name])))
+      : others.map(() => false);
+    others.forEach((name, i) => { interfaces[name] = supported[i]; });
+
+    let standard = null;
+    if (interfaces.erc721) {
+      standard = NftStandard.ERC721;
+    } else if (interfaces.erc1155) {
+      standard = NftStandard.ERC1155;
+    }
+
+    const collection = { address, standard, interfaces, name: null, symbol: null };
+    if (standard === NftStandard.ERC721) {
+      const { methods } = this.contract(erc721Abi, address);
+      [collection.name, collection.symbol] = await Promise.all([
+        optionalCall(methods.name().call()),
+        optionalCall(methods.symbol().call())
+      ]);
+    }
+
+    logger.info('NFT collection detected:', { address, standard });
+    if (standard) {
+      this.collections.set(address, collection);
+    }
+    return collection;
+  }
+
+  // The detected collection, which must be ERC-721 or ERC-1155 (or `only` that)
+  async collection(contractAddress, only) {
+    const collection = await this.detect(contractAddress);
+    if (!collection.standard) {
+      throw new Error(`Contract ${collection.address} does not implement ERC-721 or ERC-1155`);
+    }
+    if (only && collection.standard !== only) {
+      throw new Error(`Only available for ${STANDARD_NAMES[only]} contracts; ${collection.address} is ` +
+        STANDARD_NAMES[collection.standard]);
+    }
+    return collection;
+  }
+
+  async ownerOf(contractAddress, tokenId) {
+    const { address, standard } = await this.collection(contractAddress, NftStandard.ERC721);
+    const id = parseTokenId(tokenId);
+    const owner = await this.contract(erc721Abi, address).methods.ownerOf(id).call();
+    return { contract: address, standard, tokenId: id.toString(), owner: ethers.getAddress(owner) };
+  }
+
+  /**
+   * Tokens of a collection held by `owner`. ERC-1155 balances are per token id,
+   * so `tokenId` is required for them.
+   */
+  async balanceOf(contractAddress, ownerAddress, tokenId) {
+    const { address, standard } = await this.collection(contractAddress);
+    const owner = parseAddress(ownerAddress, 'owner');
+
+    if (standard === NftStandard.ERC1155) {
+      if (tokenId === undefined || tokenId === null) {
+        throw new Error('tokenId is required for ERC-1155 balances');
+      }
+      const id = parseTokenId(tokenId);
+      const balance = await this.contract(erc1155Abi, address).methods.balanceOf(owner, id).call();
+      return { contract: address, standard, owner, tokenId: id.toString(), balance: BigInt(balance).toString() };
+    }
+
+    const balance = await this.contract(erc721Abi, address).methods.balanceOf(owner).call();
+    return { contract: address, standard, owner, balance: BigInt(balance).toString() };
+  }
+
+  /**
+   * Metadata URI of a token: tokenURI for ERC-721, uri for ERC-1155. ERC-1155 URIs
+   * may hold an {id} placeholder, which is substituted in `resolvedUri`.
+   */
+  async tokenUri(contractAddress, tokenId) {
+    const { address, standard } = await this.collection(contractAddress);
+    const id = parseTokenId(tokenId);
+
+    if (standard === NftStandard.ERC1155) {
+      const uri = await this.contract(erc1155Abi, address).methods.uri(id).call();
+      const hexId = id.toString(16).padStart(64, '0');
+      return { contract: address, standard, tokenId: id.toString(), uri, resolvedUri: uri.replace(/\{id\}/g, hexId) };
+    }
+
+    const uri = await this.contract(erc721Abi, address).methods.tokenURI(id).call();
+    return { contract: address, standard, tokenId: id.toString(), uri, resolvedUri: uri };
+  }
+
+  /**
+   * Move a token with safeTransferFrom, signed by the `from` wallet. `owner`
+   * (default: the signer) is whose token moves; the signer must be it or an
+   * approved operator. `amount` only applies to ERC-1155 and defaults to 1.
+   * Resolves with the tracked transaction, or with the simulation when `dryRun` is set.
+   */
+  async safeTransfer({ contract, from, owner, to, tokenId, amount = '1', data = '0x', feeStrategy, dryRun = false }) {
+    const { address, standard } = await this.collection(contract);
+    const ownerAddress = owner ? parseAddress(owner, 'owner') : from;
+    const recipient = parseAddress(to, 'to');
+    const id = parseTokenId(tokenId);
+    if (!ethers.isHexString(data, true)) {
+      throw new Error('data must be hex bytes');
+    }
+
+    let callData;
+    let value = 1n;
+    if (standard === NftStandard.ERC1155) {
+      if (!/^\d+$/.test(String(amount)) || BigInt(amount) === 0n) {
+        throw new Error('amount must be a whole number greater than zero');
+      }
+      value = BigInt(amount);
+      callData = this.contract(erc1155Abi, address).methods
+        .safeTransferFrom(ownerAddress, recipient, id, value, data).encodeABI();
+    } else {
+      callData = this.contract(erc721Abi, address).methods
+        .safeTransferFrom(ownerAddress, recipient, id, data).encodeABI();
+    }
+
+    const request = { from, to: address, data: callData, feeStrategy, label: `${standard}.safeTransferFrom` };
+    logger.info('NFT transfer requested:', {
+      contract: address,
+      standard,
+      tokenId: id.toString(),
+      from: ownerAddress,
+      to: recipient,
+      dryRun
+    });
+
+    if (dryRun) {
+      const stateChanges = standard === NftStandard.ERC1155
+        ? await this.balanceChanges(address, id, ownerAddress, recipient, value)
+        : [await this.ownerChange(address, id, recipient)];
+      return simulator.simulate(request, { stateChanges });
+    }
+
+    try {
+      return await signer.submit(request);
+    } catch (error) {
+      logger.error('NFT transfer failed:', {
+        contract: address,
+        tokenId: id.toString(),
+        transactionHash: error.transactionHash,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // View calls against the pending state for dry runs; null if they fail
+  async readPending(abi, address, method, ...args) {
+    try {
+      return await this.contract(abi, address).methods[method](...args).call({}, 'pending');
+    } catch (error) {
+      logger.warn('Failed to read NFT state for dry run:', { contract: address, method, error: error.message });
+      return null;
+    }
+  }
+
+  async ownerChange(address, tokenId, to) {
+    const before = await this.readPending(erc721Abi, address, 'ownerOf', tokenId);
+    return {
+      type: 'nftOwner',
+      contract: address,
+      tokenId: tokenId.toString(),
+      before: before && ethers.getAddress(before),
+      after: to
+    };
+  }
+
+  async balanceChanges(address, tokenId, from, to, value) {
+    if (from.toLowerCase() === to.toLowerCase()) {
+      return [];
+    }
+
+    const balances = await Promise.all([from, to].map(account =>
+      this.readPending(erc1155Abi, address, 'balanceOf', account, tokenId)));
+    return [[from, -value], [to, value]].map(([account, delta], i) => ({
+      type: 'nftBalance',
+      contract: address,
+      tokenId: tokenId.toString(),
+      address: account,
+      before: balances[i] === null ? null : BigInt(balances[i]).toString(),
+      after: balances[i] === null ? null : (BigInt(balances[i]) + delta).toString(),
+      delta: delta.toString()
+    }));
+  }
+}
+
+export default new NftService();
@@ -0,0 +1,105 @@
+import { web3 } from '../config/web3.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Hands out nonces for locally signed transactions so concurrent writes from
+ * one account never collide. Per account it tracks the next free nonce,
+ * nonces reserved but not yet broadcast, nonces given back after a failure
+ * (reused first, to avoid gaps) and broadcast transactions awaiting a receipt.
+ *
+ * The starting point comes from eth_getTransactionCount(pending), so a restart
+ * picks up where the mempool left off.
+ */
+class NonceManager {
+  constructor() {
+    this.accounts = new Map();
+  }
+
+  account(address) {
+    const key = address.toLowerCase();
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        next: null,
+        reserved: new Set(),
+        released: [],
+        pending: new Map(),
+        syncing: null
+      });
+    }
+    return this.accounts.get(key);
+  }
+
+  /**
+   * Re-read the pending transaction count. Nonces we still hold (reserved or
+   * pending) are never handed out again, even if the node has not seen them yet.
+   */
+  sync(address) {
+    const account = this.account(address);
+    if (!account.syncing) {
+      account.syncing = (async () => {
+        const count = Number(await web3.eth.getTransactionCount(address, 'pending'));
+        const held = [...account.reserved, ...account.pending.keys()];
+        account.next = Math.max(count, ...held.map(nonce => nonce + 1));
+        account.released = account.released.filter(nonce => nonce >= count);
+        logger.info('Nonce synced:', { address, pendingCount: count, next: account.next });
+      })().finally(() => {
+        account.syncing = null;
+      });
+    }
+    return account.syncing;
+  }
+
+  async reserve(address) {
+    const account = this.account(address);
+    while (account.next === null || account.syncing) {
+      await (account.syncing || this.sync(address));
+    }
+
+    let nonce;
+    if (account.released.length) {
+      account.released.sort((a, b) => a - b);
+      nonce = account.released.shift();
+    } else {
+      nonce = account.next;
+      account.next += 1;
+    }
+    account.reserved.add(nonce);
+    return nonce;
+  }
+
+  // Give back a nonce whose transaction never reached the network
+  release(address, nonce) {
+    const account = this.account(address);
+    if (!account.reserved.delete(nonce)) return;
+
+    if (nonce === account.next - 1) {
+      account.next -= 1;
+    } else {
+      account.released.push(nonce);
+    }
+  }
+
+  // The node rejected a nonce as already used: drop it and resync from the chain
+  async resync(address, nonce) {
+    this.account(address).reserved.delete(nonce);
+    await this.sync(address);
+  }
+
+  markPending(address, nonce, hash) {
+    const account = this.account(address);
+    account.reserved.delete(nonce);
+    account.pending.set(nonce, { hash, sentAt: Date.now() });
+  }
+
+  confirm(address, nonce) {
+    this.account(address).pending.delete(nonce);
+  }
+
+  getPending(address) {
+    return Array.from(this.account(address).pending.entries())
+      .map(([nonce, entry]) => ({ nonce, ...entry }))
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+}
+
+export default new NonceManager();
@@ -0,0 +1,300 @@
+import { ethers } from 'ethers';
+import { web3 } from '../config/web3.js';
+import nonceManager from './nonceManager.js';
+import feeOracle from './feeOracle.js';
+import txTracker, { TxStatus } from './txTracker.js';
+import spendingPolicy from './spendingPolicy.js';
+import simulator from './simulator.js';
+import walletManager from './walletManager.js';
+import logger from '../utils/logger.js';
+
+// Node errors meaning the nonce is already taken by another transaction
+const NONCE_CONFLICT = /nonce too low|replacement transaction underpriced|nonce has already been used/i;
+// Node errors meaning this exact transaction is already in the mempool
+const ALREADY_KNOWN = /already known|known transaction/i;
+
+const MAX_NONCE_ATTEMPTS = 3;
+
+const rpcErrorMessage = (error) => [error.message, error.cause?.message, error.innerError?.message]
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * Builds, signs and broadcasts raw transactions with locally held keys (see
+ * WalletManager), so writes work against public RPC nodes that hold no unlocked
+ * accounts.
+ */
+class SignerService {
+  constructor() {
+    this.TRANSACTION_TIMEOUT = 30000; // 30s to be mined
+    this.MIN_FEE_BUMP = parseInt(process.env.MIN_FEE_BUMP || '10'); // percent, nodes reject smaller replacements
+    this.chainId = null;
+  }
+
+  /**
+   * The wallet that signs for an address. Without an address, the default wallet.
+   */
+  getWallet(address) {
+    if (!address) {
+      return walletManager.get();
+    }
+
+    const wallet = walletManager.findByAddress(address);
+    if (!wallet) {
+      throw new Error(`No signing key available for address: ${address}`);
+    }
+    return wallet;
+  }
+
+  // Address of a named wallet, or of the default wallet without a name
+  walletAddress(name) {
+    return walletManager.get(name).address;
+  }
+
+  /**
+   * Sending address of a write that names a wallet, gives the address of a loaded
+   * wallet as `from`, or neither (the default wallet).
+   */
+  resolveSender({ wallet, from } = {}) {
+    if (!from) {
+      return this.walletAddress(wallet);
+    }
+
+    const { address } = this.getWallet(from);
+    if (wallet && this.walletAddress(wallet) !== address) {
+      throw new Error(`Wallet ${wallet} does not sign for ${from}`);
+    }
+    return address;
+  }
+
+  get address() {
+    return this.getWallet().address;
+  }
+
+  async getChainId() {
+    if (this.chainId === null) {
+      this.chainId = BigInt(await web3.eth.getChainId());
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Fill in chainId, nonce, gas limit and fee fields for a transaction request
+   * ({ from, to, data, value, gasLimit, nonce, feeStrategy, fees }). Without a nonce,
+   * the account's pending transaction count is used; without a gas limit, the fee
+   * oracle's estimate with its safety margin; without fees, the oracle's fee fields.
+   */
+  async buildTransaction(request) {
+    const wallet = this.getWallet(request.from);
+    const value = BigInt(request.value ?? 0);
+    const data = request.data ?? '0x';
+
+    const [chainId, nonce, fees] = await Promise.all([
+      this.getChainId(),
+      request.nonce ?? web3.eth.getTransactionCount(wallet.address, 'pending'),
+      request.fees ?? feeOracle.getFeeFields(request.feeStrategy)
+    ]);
+
+    const gasLimit = request.gasLimit !== undefined
+      ? BigInt(request.gasLimit)
+      : (await feeOracle.estimateGasLimit({ from: wallet.address, to: request.to, data, value })).gasLimit;
+
+    return {
+      to: request.to,
+      data,
+      value,
+      chainId,
+      nonce: Number(nonce),
+      gasLimit,
+      ...fees
+    };
+  }
+
+  async signTransaction(request) {
+    return this.sign(request.from, await this.buildTransaction(request));
+  }
+
+  async sign(from, transaction) {
+    const wallet = this.getWallet(from);
+    const rawTransaction = await wallet.signTransaction(transaction);
+    return {
+      transaction,
+      rawTransaction,
+      hash: ethers.keccak256(rawTransaction)
+    };
+  }
+
+  async broadcast(rawTransaction) {
+    return web3.requestManager.send({
+      method: 'eth_sendRawTransaction',
+      params: [rawTransaction]
+    });
+  }
+
+  /**
+   * Sign a transaction request with a nonce from the nonce manager, broadcast it
+   * and wait until it is mined. The built transaction must pass the spending policy
+   * first. A nonce the node reports as used is dropped and the transaction is
+   * re-signed with a fresh one. Every broadcast transaction is handed to the
+   * tracker, which keeps following it if the wait times out.
+   *
+   * Resolves with { transactionHash, blockNumber, gasUsed, status }.
+   */
+  async sendTransaction(request) {
+    const { address } = this.getWallet(request.from);
+
+    for (let attempt = 1; ; attempt++) {
+      const nonce = await nonceManager.reserve(address);
+      let transaction;
+      let signed;
+
+      try {
+        const built = await this.buildTransaction({ ...request, nonce });
+        spendingPolicy.authorize(address, built);
+        transaction = built;
+        signed = await this.sign(address, transaction);
+        logger.info('Broadcasting signed transaction:', {
+          hash: signed.hash,
+          from: address,
+          to: signed.transaction.to,
+          nonce,
+          chainId: signed.transaction.chainId.toString()
+        });
+        await this.broadcast(signed.rawTransaction);
+      } catch (error) {
+        const message = rpcErrorMessage(error);
+        if (signed && ALREADY_KNOWN.test(message)) {
+          logger.info('Transaction already known to the node:', { hash: signed.hash, nonce });
+        } else {
+          // Not sent, so its value and token amount no longer count towards the daily limits
+          if (transaction) {
+            spendingPolicy.refund(address, transaction);
+          }
+          if (signed && NONCE_CONFLICT.test(message) && attempt < MAX_NONCE_ATTEMPTS) {
+            logger.warn('Nonce conflict, resyncing and retrying:', { address, nonce, attempt, error: message });
+            await nonceManager.resync(address, nonce);
+            continue;
+          }
+          nonceManager.release(address, nonce);
+          throw error;
+        }
+      }
+
+      nonceManager.markPending(address, nonce, signed.hash);
+      txTracker.track(signed.hash, { from: address, label: request.label, ...this.describe(signed.transaction) });
+
+      const record = await txTracker.waitForMined(signed.hash, this.TRANSACTION_TIMEOUT);
+      return {
+        transactionHash: record.hash,
+        blockNumber: record.blockNumber,
+        gasUsed: record.gasUsed,
+        status: record.status
+      };
+    }
+  }
+
+  /**
+   * Send like sendTransaction, but resolve with the tracker's record of the
+   * transaction: mined or confirmed, or still pending when it was not mined in time.
+   */
+  async submit(request) {
+    try {
+      const { transactionHash } = await this.sendTransaction(request);
+      return txTracker.get(transactionHash);
+    } catch (error) {
+      // Broadcast but not mined in time: the tracker keeps following it
+      const record = error.transactionHash && txTracker.get(error.transactionHash);
+      if (record?.status === TxStatus.PENDING) {
+        return record;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a pending transaction with one using the same nonce and higher fees:
+   * a copy of it (mode 'speedup') or a zero-value transfer to ourselves ('cancel').
+   * Each fee field is raised by at least MIN_FEE_BUMP percent over the highest of
+   * the pending transactions with that nonce, earlier replacements included, or to
+   * the oracle's suggestion for `feeStrategy` when that is higher. With `dryRun`,
+   * resolves with the simulated replacement at those fees instead of sending it.
+   */
+  async replaceTransaction(hash, { mode, feeStrategy = 'fast', dryRun = false }) {
+    const original = txTracker.get(hash);
+    if (!original) {
+      throw new Error(`Transaction is not tracked by this server: ${hash}`);
+    }
+    if (original.status !== TxStatus.PENDING) {
+      throw new Error(`Only pending transactions can be replaced; ${hash} is ${original.status}`);
+    }
+
+    const { address } = this.getWallet(original.from);
+    const request = mode === 'cancel'
+      ? { from: address, to: address, value: 0n, data: '0x', gasLimit: 21000n }
+      : { from: address, to: original.to, value: original.value, data: original.data, gasLimit: original.gasLimit };
+
+    // Nodes price a replacement against the highest fees they hold for the nonce
+    const pending = txTracker.pendingWithNonce(address, original.nonce);
+    const fees = this.bumpFees(original.type, pending, await feeOracle.getFeeFields(feeStrategy));
+
+    if (dryRun) {
+      return simulator.simulate({ ...request, fees, label: original.label }, {
+        replacing: true,
+        stateChanges: [{ type: 'replacement', replaces: original.hash, mode, nonce: original.nonce }]
+      });
+    }
+    const transaction = await this.buildTransaction({ ...request, nonce: original.nonce, fees });
+    spendingPolicy.authorize(address, transaction, { replacing: true });
+    const signed = await this.sign(address, transaction);
+
+    logger.info('Broadcasting replacement transaction:', {
+      mode,
+      replaces: hash,
+      hash: signed.hash,
+      nonce: original.nonce
+    });
+    await this.broadcast(signed.rawTransaction);
+
+    nonceManager.markPending(address, original.nonce, signed.hash);
+    return txTracker.track(signed.hash, {
+      from: address,
+      label: original.label,
+      replaces: original.hash,
+      replacement: mode,
+      ...this.describe(signed.transaction)
+    });
+  }
+
+  // Fee fields of `type` for a replacement: the highest pending fees bumped, or the suggestion if higher
+  bumpFees(type, pending, suggested) {
+    const bump = (value) => (value * BigInt(100 + this.MIN_FEE_BUMP) + 99n) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+    // Legacy transactions pay gasPrice as both their fee cap and their tip
+    const highest = (field) => pending.reduce((top, record) =>
+      max(top, BigInt(record[field] ?? record.gasPrice ?? 0)), 0n);
+
+    if (type === 2) {
+      const maxPriorityFeePerGas = max(bump(highest('maxPriorityFeePerGas')), suggested.maxPriorityFeePerGas ?? 0n);
+      const maxFeePerGas = max(
+        max(bump(highest('maxFeePerGas')), suggested.maxFeePerGas ?? suggested.gasPrice),
+        maxPriorityFeePerGas
+      );
+      return { type: 2, maxPriorityFeePerGas, maxFeePerGas };
+    }
+
+    return {
+      type,
+      gasPrice: max(bump(highest('gasPrice')), suggested.gasPrice ?? suggested.maxFeePerGas)
+    };
+  }
+
+  // JSON-safe copy of a built transaction, kept by the tracker
+  describe(transaction) {
+    return Object.fromEntries(Object.entries(transaction).map(([key, value]) => [
+      key,
+      typeof value === 'bigint' ? value.toString() : value
+    ]));
+  }
+}
+
+export default new SignerService();
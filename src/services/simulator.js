@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+import { web3 } from '../config/web3.js';
+import feeOracle from './feeOracle.js';
+import spendingPolicy from './spendingPolicy.js';
+import logger from '../utils/logger.js';
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to uninitialized function'
+};
+
+// Revert data travels in different places depending on the node and web3 error type
+const revertData = (error) => [error.data, error.innerError?.data, error.cause?.data, error.data?.data]
+  .find(data => typeof data === 'string' && data.startsWith('0x'));
+
+/**
+ * Human-readable reason from a failed eth_call: Error(string), Panic(uint256),
+ * a custom error selector, or the node's message.
+ */
+export const decodeRevertReason = (error) => {
+  const data = revertData(error);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (data?.startsWith(ERROR_SELECTOR)) {
+      return coder.decode(['string'], `0x${data.slice(10)}`)[0];
+    }
+    if (data?.startsWith(PANIC_SELECTOR)) {
+      const code = Number(coder.decode(['uint256'], `0x${data.slice(10)}`)[0]);
+      return `Panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}`;
+    }
+  } catch (decodeError) {
+    logger.warn('Failed to decode revert data:', { data, error: decodeError.message });
+  }
+
+  if (data && data.length >= 10) {
+    return `Reverted with custom error ${data.slice(0, 10)}`;
+  }
+  return [error.message, error.innerError?.message, error.cause?.message].filter(Boolean).join(': ');
+};
+
+/**
+ * Previews a write without broadcasting it: eth_call and eth_estimateGas against
+ * the pending state, the decoded revert reason if it would fail, and a summary of
+ * the state it would change.
+ */
+class Simulator {
+  /**
+   * `request` is a transaction request ({ from, to, data, value, feeStrategy }).
+   * Spending policy violations are listed in `policyViolations`.
+   * `stateChanges` lists caller-known effects of the call (for example a contract
+   * field before and after) and is returned next to the balance changes. Requests
+   * with `fees` are priced at those instead of the strategy's; `replacing` checks
+   * the policy as for a replacement.
+   */
+  async simulate(request, { stateChanges = [], replacing = false } = {}) {
+    const from = ethers.getAddress(request.from);
+    const to = request.to ? ethers.getAddress(request.to) : null;
+    const value = BigInt(request.value ?? 0);
+    const data = request.data ?? '0x';
+    const call = { from, to, data, value: `0x${value.toString(16)}` };
+
+    logger.info('Simulating transaction:', { from, to, value: value.toString(), label: request.label });
+
+    const [callResult, gas, fees, balance] = await Promise.all([
+      web3.requestManager.send({ method: 'eth_call', params: [call, 'pending'] })
+        .then(returnData => ({ returnData }), error => ({ error })),
+      feeOracle.estimateGasLimit({ from, to, data, value, blockTag: 'pending' }).catch(() => null),
+      request.fees ?? feeOracle.getFeeFields(request.feeStrategy),
+      web3.eth.getBalance(from, 'pending').then(BigInt)
+    ]);
+
+    const result = {
+      dryRun: true,
+      wouldSucceed: !callResult.error,
+      revertReason: callResult.error ? decodeRevertReason(callResult.error) : null,
+      returnData: callResult.returnData ?? null,
+      from,
+      to,
+      value: value.toString(),
+      gas: null,
+      fees: Object.fromEntries(Object.entries(fees).map(([key, amount]) => [
+        key,
+        typeof amount === 'bigint' ? amount.toString() : amount
+      ])),
+      stateChanges: []
+    };
+
+    let maxCost = 0n;
+    if (gas) {
+      maxCost = gas.gasLimit * (fees.maxFeePerGas ?? fees.gasPrice);
+      result.gas = {
+        estimatedGas: gas.estimatedGas.toString(),
+        gasLimit: gas.gasLimit.toString(),
+        maxCost: maxCost.toString(),
+        maxCostMon: web3.utils.fromWei(maxCost, 'ether')
+      };
+    }
+
+    // Reported, not enforced: the operator sees what the policy would refuse
+    result.policyViolations = spendingPolicy.check(from, { to, data, value, ...fees }, { replacing });
+
+    if (result.wouldSucceed && balance < value + maxCost) {
+      result.wouldSucceed = false;
+      result.revertReason = `Insufficient funds: balance ${balance} wei, needs up to ${value + maxCost} wei`;
+    }
+
+    // Worst case for the sender: the value plus the full gas limit at the max fee
+    result.stateChanges.push({
+      type: 'balance',
+      address: from,
+      before: balance.toString(),
+      after: (balance - value - maxCost).toString(),
+      delta: (-(value + maxCost)).toString()
+    });
+    if (value > 0n && to && to !== from) {
+      const recipientBalance = BigInt(await web3.eth.getBalance(to, 'pending'));
+      result.stateChanges.push({
+        type: 'balance',
+        address: to,
+        before: recipientBalance.toString(),
+        after: (recipientBalance + value).toString(),
+        delta: value.toString()
+      });
+    }
+    result.stateChanges.push(...stateChanges);
+
+    logger.info('Simulation finished:', {
+      from,
+      to,
+      wouldSucceed: result.wouldSucceed,
+      revertReason: result.revertReason
+    });
+    return result;
+  }
+}
+
+export default new Simulator();
@@ -0,0 +1,369 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PATH = join(__dirname, '../../spending-policy.json');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const SELECTOR_PATTERN = /^0x[0-9a-fA-F]{8}$/;
+
+/**
+ * A write refused by the spending policy. `violations` lists every rule it broke
+ * as { rule, message, ...details } so callers can report them field by field.
+ */
+export class PolicyViolationError extends Error {
+  constructor(violations) {
+    super(`Spending policy violation: ${violations.map(violation => violation.message).join('; ')}`);
+    this.name = 'PolicyViolationError';
+    this.code = 'POLICY_VIOLATION';
+    this.violations = violations;
+  }
+}
+
+const spendKey = (from, token) => (token ? `${from.toLowerCase()}:${token}` : from.toLowerCase());
+
+const minutesOf = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Token writes and how much each moves or lets a spender move, in the token's base units
+const TOKEN_WRITES = {
+  'transfer(address,uint256)': (args) => args[1],
+  'approve(address,uint256)': (args) => args[1],
+  'transferFrom(address,address,uint256)': (args) => args[2],
+  // ERC-721 moves one token, ERC-1155 `value` of one id
+  'safeTransferFrom(address,address,uint256,bytes)': () => 1n,
+  'safeTransferFrom(address,address,uint256,uint256,bytes)': (args) => args[3]
+};
+
+const tokenInterface = new ethers.Interface(Object.keys(TOKEN_WRITES).map(signature => `function ${signature}`));
+
+// Amount of tokens a transaction's calldata moves, or null if it is no token write
+const tokenAmount = (data) => {
+  try {
+    const call = tokenInterface.parseTransaction({ data });
+    return call ? TOKEN_WRITES[call.signature](call.args) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// "setGreeting(string)" or "0xa4136862" to a lowercase selector
+const toSelector = (method) => (SELECTOR_PATTERN.test(method)
+  ? method.toLowerCase()
+  : ethers.id(method.replace(/\s+/g, '')).slice(0, 10));
+
+/**
+ * Validate the raw policy file and normalize it: amounts to bigints, addresses
+ * to lowercase, methods to selectors. Throws on anything it does not understand.
+ */
+const parsePolicy = (raw) => {
+  const amount = (source, name, unit, label = name) => {
+    if (source[name] === undefined) return null;
+    if (!/^\d+$/.test(String(source[name]))) {
+      throw new Error(`${label} must be an amount in ${unit}`);
+    }
+    return BigInt(source[name]);
+  };
+  const wei = (name) => amount(raw, name, 'wei');
+  const address = (value, name) => {
+    if (!ethers.isAddress(value)) {
+      throw new Error(`${name} contains an invalid address: ${value}`);
+    }
+    return value.toLowerCase();
+  };
+
+  const allowedMethods = new Map(Object.entries(raw.allowedMethods || {}).map(([contract, methods]) => {
+    if (!Array.isArray(methods)) {
+      throw new Error(`allowedMethods for ${contract} must be a list`);
+    }
+    return [address(contract, 'allowedMethods'), new Set(methods.map(toSelector))];
+  }));
+
+  const tokenLimits = new Map(Object.entries(raw.tokenLimits || {}).map(([token, limits]) => {
+    if (!limits || typeof limits !== 'object') {
+      throw new Error(`tokenLimits for ${token} must be an object`);
+    }
+    return [address(token, 'tokenLimits'), {
+      maxAmountPerTx: amount(limits, 'maxAmountPerTx', 'base units', `tokenLimits.${token}.maxAmountPerTx`),
+      maxDailyAmount: amount(limits, 'maxDailyAmount', 'base units', `tokenLimits.${token}.maxDailyAmount`)
+    }];
+  }));
+
+  if (raw.allowedDestinations !== undefined && !Array.isArray(raw.allowedDestinations)) {
+    throw new Error('allowedDestinations must be a list');
+  }
+  if (raw.timeWindows !== undefined && !Array.isArray(raw.timeWindows)) {
+    throw new Error('timeWindows must be a list');
+  }
+
+  const timeWindows = raw.timeWindows && raw.timeWindows.map(window => {
+    const days = window.days || DAYS;
+    if (!days.every(day => DAYS.includes(day))) {
+      throw new Error(`timeWindows days must be among: ${DAYS.join(', ')}`);
+    }
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      throw new Error('timeWindows start and end must be HH:MM (UTC)');
+    }
+    return { days, start: minutesOf(window.start), end: minutesOf(window.end), label: `${window.start}-${window.end}` };
+  });
+
+  return {
+    maxValuePerTx: wei('maxValuePerTx'),
+    maxDailyValue: wei('maxDailyValue'),
+    maxGasPrice: wei('maxGasPrice'),
+    tokenLimits,
+    // With any spending cap, token writes are only allowed to tokens that have limits of their own
+    capsTokens: raw.maxValuePerTx !== undefined || raw.maxDailyValue !== undefined || tokenLimits.size > 0,
+    allowedDestinations: raw.allowedDestinations
+      ? new Set(raw.allowedDestinations.map(value => address(value, 'allowedDestinations')))
+      : null,
+    allowedMethods,
+    timeWindows: timeWindows || null
+  };
+};
+
+/**
+ * Rules every write from a server wallet must pass before it is signed, read from
+ * a local JSON file (amounts in wei, times in UTC):
+ *
+ *   {
+ *     "maxValuePerTx": "1000000000000000000",
+ *     "maxDailyValue": "5000000000000000000",
+ *     "maxGasPrice": "200000000000",
+ *     "tokenLimits": { "0x...": { "maxAmountPerTx": "1000000", "maxDailyAmount": "5000000" } },
+ *     "allowedDestinations": ["0x..."],
+ *     "allowedMethods": { "0x...": ["setGreeting(string)", "0xa9059cbb"] },
+ *     "timeWindows": [{ "days": ["mon", "tue"], "start": "09:00", "end": "17:00" }]
+ *   }
+ *
+ * Every rule is optional. Contracts listed in allowedMethods only accept those
+ * methods and are allowed destinations; a wallet may always send to itself. Token
+ * transfers and approvals count against tokenLimits (in the token's base units, or
+ * tokens for NFTs); once anything is capped, tokens without limits are refused. The
+ * file is re-read whenever it changes; a missing file means no restrictions and an
+ * unreadable one blocks every write. Daily totals are kept in memory per wallet
+ * and token.
+ */
+class SpendingPolicy {
+  constructor() {
+    this.path = process.env.SPENDING_POLICY_PATH || DEFAULT_PATH;
+    this.cache = { mtimeMs: null, policy: null, error: null };
+    this.spent = new Map();
+  }
+
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.path);
+    } catch (error) {
+      return { policy: null, error: null };
+    }
+
+    if (stat.mtimeMs !== this.cache.mtimeMs) {
+      try {
+        const policy = parsePolicy(JSON.parse(fs.readFileSync(this.path, 'utf8')));
+        this.cache = { mtimeMs: stat.mtimeMs, policy, error: null };
+        logger.info('Spending policy loaded:', { path: this.path });
+      } catch (error) {
+        this.cache = { mtimeMs: stat.mtimeMs, policy: null, error: error.message };
+        logger.error('Invalid spending policy, blocking all writes:', {
+          path: this.path,
+          error: error.message,
+          global: true
+        });
+      }
+    }
+    return this.cache;
+  }
+
+  // Value sent by `from` so far today (UTC), in wei or in base units of `token`
+  spentToday(from, token = null) {
+    const entry = this.spent.get(spendKey(from, token));
+    return entry?.day === new Date().toISOString().slice(0, 10) ? entry.total : 0n;
+  }
+
+  /**
+   * Every rule a built transaction ({ to, data, value, maxFeePerGas | gasPrice })
+   * from `from` breaks. Replacements skip the daily total: their value was counted
+   * with the transaction they replace.
+   */
+  check(from, transaction, { replacing = false } = {}) {
+    const { policy, error } = this.load();
+    if (error) {
+      return [{ rule: 'policyFile', message: `Spending policy file is invalid: ${error}` }];
+    }
+    if (!policy) {
+      return [];
+    }
+
+    const violations = [];
+    const value = BigInt(transaction.value ?? 0);
+    const to = transaction.to?.toLowerCase() ?? null;
+    const data = transaction.data ?? '0x';
+
+    if (policy.maxValuePerTx !== null && value > policy.maxValuePerTx) {
+      violations.push({
+        rule: 'maxValuePerTx',
+        message: `Value ${value} wei exceeds the per-transaction limit of ${policy.maxValuePerTx} wei`,
+        limit: policy.maxValuePerTx.toString(),
+        actual: value.toString()
+      });
+    }
+
+    if (policy.maxDailyValue !== null && !replacing) {
+      const total = this.spentToday(from) + value;
+      if (total > policy.maxDailyValue) {
+        violations.push({
+          rule: 'maxDailyValue',
+          message: `Sending ${value} wei would bring today's total to ${total} wei, over the daily limit of ${policy.maxDailyValue} wei`,
+          limit: policy.maxDailyValue.toString(),
+          actual: total.toString()
+        });
+      }
+    }
+
+    violations.push(...this.checkTokens(policy, from, to, data, { replacing }));
+
+    const toSelf = to === from.toLowerCase();
+    if (policy.allowedDestinations && to && !toSelf &&
+        !policy.allowedDestinations.has(to) && !policy.allowedMethods.has(to)) {
+      violations.push({
+        rule: 'allowedDestinations',
+        message: `Destination ${transaction.to} is not in the allowlist`,
+        actual: transaction.to
+      });
+    }
+
+    const methods = to && policy.allowedMethods.get(to);
+    if (methods && data.length > 2) {
+      const selector = data.slice(0, 10).toLowerCase();
+      if (!methods.has(selector)) {
+        violations.push({
+          rule: 'allowedMethods',
+          message: `Method ${selector} is not allowed on ${transaction.to}`,
+          actual: selector
+        });
+      }
+    }
+
+    const gasPrice = transaction.maxFeePerGas ?? transaction.gasPrice;
+    if (policy.maxGasPrice !== null && gasPrice !== undefined && BigInt(gasPrice) > policy.maxGasPrice) {
+      violations.push({
+        rule: 'maxGasPrice',
+        message: `Gas price ${gasPrice} wei exceeds the limit of ${policy.maxGasPrice} wei`,
+        limit: policy.maxGasPrice.toString(),
+        actual: gasPrice.toString()
+      });
+    }
+
+    if (policy.timeWindows) {
+      const now = new Date();
+      const day = DAYS[now.getUTCDay()];
+      const minute = now.getUTCHours() * 60 + now.getUTCMinutes();
+      const open = policy.timeWindows.some(window => window.days.includes(day) && (window.start <= window.end
+        ? minute >= window.start && minute < window.end
+        : minute >= window.start || minute < window.end));
+      if (!open) {
+        violations.push({
+          rule: 'timeWindows',
+          message: 'Writes are not allowed at this time',
+          allowed: policy.timeWindows.map(window => `${window.days.join(',')} ${window.label} UTC`)
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // tokenLimits rules broken by a token write; other transactions break none
+  checkTokens(policy, from, to, data, { replacing }) {
+    const amount = to && policy.capsTokens ? tokenAmount(data) : null;
+    if (amount === null) {
+      return [];
+    }
+
+    const limits = policy.tokenLimits.get(to);
+    if (!limits) {
+      return [{
+        rule: 'tokenLimits',
+        message: `Token ${to} has no tokenLimits entry, so writes to it are not allowed`,
+        token: to
+      }];
+    }
+
+    const violations = [];
+    if (limits.maxAmountPerTx !== null && amount > limits.maxAmountPerTx) {
+      violations.push({
+        rule: 'maxAmountPerTx',
+        message: `Amount ${amount} of token ${to} exceeds the per-transaction limit of ${limits.maxAmountPerTx}`,
+        token: to,
+        limit: limits.maxAmountPerTx.toString(),
+        actual: amount.toString()
+      });
+    }
+
+    if (limits.maxDailyAmount !== null && !replacing) {
+      const total = this.spentToday(from, to) + amount;
+      if (total > limits.maxDailyAmount) {
+        violations.push({
+          rule: 'maxDailyAmount',
+          message: `Moving ${amount} of token ${to} would bring today's total to ${total}, over the daily limit of ${limits.maxDailyAmount}`,
+          token: to,
+          limit: limits.maxDailyAmount.toString(),
+          actual: total.toString()
+        });
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Throw a PolicyViolationError if the transaction breaks any rule, otherwise
+   * count its value and token amount towards today's totals. Call refund() with
+   * the same transaction if it is not sent after all.
+   */
+  authorize(from, transaction, options = {}) {
+    const violations = this.check(from, transaction, options);
+    if (violations.length) {
+      logger.warn('Spending policy violation:', {
+        from,
+        to: transaction.to,
+        value: BigInt(transaction.value ?? 0).toString(),
+        violations: violations.map(violation => violation.rule)
+      });
+      throw new PolicyViolationError(violations);
+    }
+
+    if (!options.replacing) {
+      this.addSpend(from, transaction, 1n);
+    }
+  }
+
+  refund(from, transaction) {
+    this.addSpend(from, transaction, -1n);
+  }
+
+  // Add (sign 1n) or remove (-1n) a transaction's value and token amount from today's totals
+  addSpend(from, transaction, sign) {
+    const day = new Date().toISOString().slice(0, 10);
+    const add = (token, amount) => {
+      this.spent.set(spendKey(from, token), { day, total: this.spentToday(from, token) + sign * amount });
+    };
+
+    add(null, BigInt(transaction.value ?? 0));
+    const amount = transaction.to ? tokenAmount(transaction.data ?? '0x') : null;
+    if (amount !== null) {
+      add(transaction.to.toLowerCase(), amount);
+    }
+  }
+}
+
+export default new SpendingPolicy();
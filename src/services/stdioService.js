@@ -1,129 +1,95 @@
-import monadService from './monad.js';
+import mcpServer from '../mcp/index.js';
+import { ErrorCodes } from '../mcp/errors.js';
+import { processPayload } from '../mcp/jsonrpc.js';
 import logger from '../utils/logger.js';
 
+const isToolCall = (payload) => !Array.isArray(payload) && payload?.method === 'tools/call';
+
+/**
+ * MCP stdio transport: newline-delimited JSON-RPC 2.0 on stdin/stdout.
+ * stdout carries protocol messages only; logs go to stderr and the log files.
+ */
 class StdioService {
   constructor() {
-    this.isPolling = false;
-    this.lastBlock = null;
-    this.pollingInterval = null;
-    this.POLLING_INTERVAL = 2000;
-    this.ERROR_POLLING_INTERVAL = 5000;
+    this.buffer = '';
+    this.session = null;
+    // Lines are handled one after another in arrival order
+    this.queue = Promise.resolve();
   }
 
   initialize() {
+    this.session = mcpServer.createSession('stdio');
+    this.session.on('message', (message) => this.send(message));
+
     // Handle input
     process.stdin.setEncoding('utf8');
     process.stdin.on('data', this.handleInput.bind(this));
+    process.stdin.on('end', () => {
+      logger.info('Stdio input closed, shutting down');
+      this.cleanup();
+      process.exit(0);
+    });
 
     // Handle process termination
     process.on('SIGTERM', () => this.cleanup());
     process.on('SIGINT', () => this.cleanup());
 
-    // Start block polling
-    this.startBlockPolling();
-
-    // Listen for greeting updates
-    monadService.on('greetingUpdated', this.handleGreetingUpdate.bind(this));
-
     logger.info('Stdio transport initialized');
   }
 
-  async handleInput(data) {
-    try {
-      const message = JSON.parse(data);
-      if (message.type === 'command') {
-        await this.handleCommand(message.data);
+  handleInput(chunk) {
+    // A chunk may hold part of a message or several messages
+    this.buffer += chunk;
+
+    let newline = this.buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newline + 1);
+      if (line.trim()) {
+        this.queue = this.queue.then(() => this.handleLine(line));
       }
-    } catch (error) {
-      this.sendError('Invalid input format');
+      newline = this.buffer.indexOf('\n');
     }
   }
 
-  async handleCommand(command) {
+  async handleLine(line) {
+    let payload;
     try {
-      switch (command.action) {
-        case 'getBlock':
-          const blockNumber = await monadService.getLatestBlockNumber();
-          this.sendMessage('blockNumber', { number: blockNumber.toString() });
-          break;
-        case 'getGreeting':
-          const greeting = await monadService.getData();
-          this.sendMessage('greeting', { greeting });
-          break;
-        default:
-          this.sendError(`Unknown command: ${command.action}`);
-      }
+      payload = JSON.parse(line);
     } catch (error) {
-      this.sendError(error.message);
+      this.sendError(null, ErrorCodes.PARSE_ERROR, 'Parse error');
+      return;
     }
-  }
-
-  async startBlockPolling() {
-    if (this.isPolling) return;
-
-    try {
-      this.isPolling = true;
-      this.lastBlock = await monadService.getLatestBlockNumber();
-      
-      const poll = async () => {
-        try {
-          const currentBlock = await monadService.getLatestBlockNumber();
-          if (BigInt(currentBlock) > BigInt(this.lastBlock)) {
-            const block = await monadService.web3.eth.getBlock(currentBlock, true);
-            if (block) {
-              const blockInfo = {
-                number: block.number.toString(),
-                hash: block.hash,
-                timestamp: block.timestamp.toString(),
-                gasUsed: (block.gasUsed || '0').toString(),
-                miner: block.miner
-              };
 
-              this.sendMessage('newBlock', blockInfo);
-              this.lastBlock = currentBlock;
-            }
-          }
-          this.pollingInterval = setTimeout(poll, this.POLLING_INTERVAL);
-        } catch (error) {
-          logger.error('Error in block polling:', { error: error.message });
-          this.pollingInterval = setTimeout(poll, this.ERROR_POLLING_INTERVAL);
-        }
-      };
+    const reply = processPayload(mcpServer, this.session, payload)
+      .then(response => response && this.send(response))
+      .catch(error => logger.error('Error handling stdio message:', { error: error.message }));
 
-      await poll();
-      logger.info('Block polling started for stdio transport');
-    } catch (error) {
-      logger.error('Error starting block polling:', { error: error.message });
-      this.isPolling = false;
-      setTimeout(() => this.startBlockPolling(), this.ERROR_POLLING_INTERVAL);
+    // Tool calls may run for a long time, so later lines need not wait for them
+    if (!isToolCall(payload)) {
+      await reply;
     }
   }
 
-  handleGreetingUpdate(eventData) {
-    this.sendMessage('greetingUpdated', eventData);
+  send(message) {
+    process.stdout.write(JSON.stringify(message) + '\n');
   }
 
-  sendMessage(type, data) {
-    const message = JSON.stringify({
-      type,
-      data,
-      timestamp: Date.now()
+  sendError(id, code, message) {
+    this.send({
+      jsonrpc: '2.0',
+      id: id ?? null,
+      error: { code, message }
     });
-    process.stdout.write(message + '\n');
-  }
-
-  sendError(message) {
-    this.sendMessage('error', { message });
   }
 
   cleanup() {
-    if (this.pollingInterval) {
-      clearTimeout(this.pollingInterval);
-      this.pollingInterval = null;
+    if (this.session) {
+      this.session.close();
+      this.session = null;
     }
-    this.isPolling = false;
     logger.info('Stdio transport cleaned up');
   }
 }
 
-export default new StdioService(); 
\ No newline at end of file
+export default new StdioService();
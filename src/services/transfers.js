@@ -0,0 +1,70 @@
+import { ethers } from 'ethers';
+import signer from './signer.js';
+import simulator from './simulator.js';
+import { parseAddress } from '../utils/address.js';
+import logger from '../utils/logger.js';
+
+export const AMOUNT_UNITS = ['MON', 'wei'];
+
+/**
+ * An amount in MON (up to 18 decimals) or wei (integer) as wei. Throws on
+ * malformed or non-positive amounts.
+ */
+export const parseAmount = (amount, unit = 'MON') => {
+  const text = String(amount).trim();
+
+  let value;
+  if (unit === 'wei') {
+    if (!/^\d+$/.test(text)) {
+      throw new Error('Amounts in wei must be whole numbers');
+    }
+    value = BigInt(text);
+  } else if (unit === 'MON') {
+    if (!/^\d+(\.\d{1,18})?$/.test(text)) {
+      throw new Error('Amounts in MON must be decimal numbers with at most 18 decimals');
+    }
+    value = ethers.parseEther(text);
+  } else {
+    throw new Error(`Invalid unit. Use one of: ${AMOUNT_UNITS.join(', ')}`);
+  }
+
+  if (value === 0n) {
+    throw new Error('Amount must be greater than zero');
+  }
+  return value;
+};
+
+/**
+ * Native MON transfers signed by a server wallet.
+ */
+class TransferService {
+  /**
+   * Send `amount` (in `unit`) from the `from` address to `to`. Resolves with the
+   * tracked transaction: mined or confirmed, or still pending when it was not mined
+   * within the signer's timeout. With `dryRun`, resolves with the simulation instead.
+   */
+  async sendNative({ from, to, amount, unit = 'MON', feeStrategy, dryRun = false }) {
+    const recipient = parseAddress(to, 'to');
+    const value = parseAmount(amount, unit);
+    const request = { from, to: recipient, value, feeStrategy, label: 'transfer' };
+
+    logger.info('Native transfer requested:', { from, to: recipient, value: value.toString(), dryRun });
+    if (dryRun) {
+      return simulator.simulate(request);
+    }
+
+    try {
+      return await signer.submit(request);
+    } catch (error) {
+      logger.error('Native transfer failed:', {
+        from,
+        to: recipient,
+        transactionHash: error.transactionHash,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+export default new TransferService();
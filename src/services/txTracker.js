@@ -0,0 +1,304 @@
+import EventEmitter from 'events';
+import { web3 } from '../config/web3.js';
+import nonceManager from './nonceManager.js';
+import logger, { logContext } from '../utils/logger.js';
+
+export const TxStatus = {
+  PENDING: 'pending',
+  MINED: 'mined',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  DROPPED: 'dropped',
+  REPLACED: 'replaced'
+};
+
+const FINAL_STATUSES = [TxStatus.CONFIRMED, TxStatus.FAILED, TxStatus.DROPPED, TxStatus.REPLACED];
+const FAILURE_STATUSES = [TxStatus.FAILED, TxStatus.DROPPED, TxStatus.REPLACED];
+
+/**
+ * Follows every transaction the server submits until it is confirmed or fails:
+ * polls for receipts, counts confirmations, notices receipts that disappear in a
+ * reorg, and detects transactions that were replaced (their nonce was used by
+ * another tracked transaction) or dropped (unknown to the node for DROP_TIMEOUT).
+ *
+ * Events:
+ *   txUpdated (record)   - any status or confirmation change
+ *   txConfirmed (record) - reached REQUIRED_CONFIRMATIONS
+ *   txFailed (record)    - reverted, dropped or replaced
+ */
+class TxTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.POLLING_INTERVAL = parseInt(process.env.TX_POLLING_INTERVAL || '2000');
+    this.REQUIRED_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS || '1');
+    this.DROP_TIMEOUT = parseInt(process.env.TX_DROP_TIMEOUT || '300000'); // 5 minutes
+    this.MAX_RECORDS = 500;
+
+    this.records = new Map();
+    this.timer = null;
+    // Every waitForMined call listens to txUpdated until it settles or times out
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Start following a broadcast transaction. `details` holds what is needed to
+   * rebuild it later: from, nonce, to, value, data, gasLimit and fee fields, plus
+   * `replaces` and `replacement` ('speedup' or 'cancel') for replacements.
+   */
+  track(hash, details) {
+    const now = Date.now();
+    const record = {
+      hash,
+      status: TxStatus.PENDING,
+      ...details,
+      blockNumber: null,
+      confirmations: 0,
+      gasUsed: null,
+      replacedBy: null,
+      error: null,
+      submittedAt: now,
+      lastSeenAt: now,
+      updatedAt: now
+    };
+
+    this.records.set(hash.toLowerCase(), record);
+    logger.info('Tracking transaction:', { hash, from: record.from, nonce: record.nonce, label: record.label });
+    this.schedule();
+    return record;
+  }
+
+  get(hash) {
+    return this.records.get(hash.toLowerCase()) || null;
+  }
+
+  isFinal(record) {
+    return FINAL_STATUSES.includes(record.status);
+  }
+
+  /**
+   * Status of any transaction: tracked ones from memory, others looked up on chain.
+   * Returns null when the node does not know the hash.
+   */
+  async getStatus(hash) {
+    const record = this.get(hash);
+    if (record) {
+      return { ...record, tracked: true };
+    }
+
+    const receipt = await web3.eth.getTransactionReceipt(hash).catch(() => null);
+    if (receipt) {
+      const latest = BigInt(await web3.eth.getBlockNumber());
+      return {
+        hash,
+        status: BigInt(receipt.status) === 0n ? TxStatus.FAILED : TxStatus.CONFIRMED,
+        from: receipt.from,
+        to: receipt.to,
+        blockNumber: receipt.blockNumber.toString(),
+        confirmations: Number(latest - BigInt(receipt.blockNumber) + 1n),
+        gasUsed: receipt.gasUsed.toString(),
+        tracked: false
+      };
+    }
+
+    const transaction = await web3.eth.getTransaction(hash).catch(() => null);
+    if (transaction) {
+      return {
+        hash,
+        status: TxStatus.PENDING,
+        from: transaction.from,
+        to: transaction.to,
+        nonce: Number(transaction.nonce),
+        tracked: false
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve once the transaction is mined, reject if it fails or after `timeout` ms.
+   * A transaction replaced by a speed-up is followed to its replacement.
+   * A timeout does not stop tracking; the rejection carries the hash to follow up on.
+   */
+  waitForMined(hash, timeout) {
+    return new Promise((resolve, reject) => {
+      let timer;
+      let target = hash.toLowerCase();
+      const settle = (record) => {
+        if (record.hash.toLowerCase() !== target) return false;
+
+        const replacement = record.replacedBy && this.get(record.replacedBy);
+        if (record.status === TxStatus.REPLACED && replacement?.replacement === 'speedup') {
+          target = replacement.hash.toLowerCase();
+          return settle(replacement);
+        }
+
+        if (FAILURE_STATUSES.includes(record.status)) {
+          const error = new Error(record.error || `Transaction ${record.status}`);
+          error.transactionHash = record.hash;
+          reject(error);
+        } else if (record.status === TxStatus.MINED || record.status === TxStatus.CONFIRMED) {
+          resolve(record);
+        } else {
+          return false;
+        }
+        clearTimeout(timer);
+        this.off('txUpdated', settle);
+        return true;
+      };
+
+      const current = this.get(hash);
+      if (current && settle(current)) return;
+
+      this.on('txUpdated', settle);
+      timer = setTimeout(() => {
+        this.off('txUpdated', settle);
+        const error = new Error(`Transaction timed out, still tracking it; check GET /api/tx/${target}/status`);
+        error.transactionHash = target;
+        reject(error);
+      }, timeout);
+    });
+  }
+
+  update(record, changes) {
+    const previousStatus = record.status;
+    Object.assign(record, changes, { updatedAt: Date.now() });
+    this.emit('txUpdated', record);
+
+    if (record.status === previousStatus) return;
+    logger.info('Transaction status changed:', { hash: record.hash, from: previousStatus, to: record.status });
+
+    // Once mined or gone, the nonce is no longer pending
+    if (record.status !== TxStatus.PENDING && record.from && record.nonce !== undefined) {
+      nonceManager.confirm(record.from, record.nonce);
+      if (record.status === TxStatus.DROPPED) {
+        nonceManager.sync(record.from).catch(error => {
+          logger.warn('Failed to resync nonce after drop:', { address: record.from, error: error.message });
+        });
+      }
+    }
+
+    if (record.status === TxStatus.CONFIRMED) {
+      this.emit('txConfirmed', record);
+    } else if (FAILURE_STATUSES.includes(record.status)) {
+      this.emit('txFailed', record);
+    }
+  }
+
+  schedule() {
+    const active = Array.from(this.records.values()).some(record => !this.isFinal(record));
+    if (active && !this.timer) {
+      // Polling outlives the request that tracked the transaction, so it logs under no session
+      this.timer = logContext.exit(() => setTimeout(() => this.poll(), this.POLLING_INTERVAL));
+    }
+  }
+
+  async poll() {
+    this.timer = null;
+    const active = Array.from(this.records.values()).filter(record => !this.isFinal(record));
+
+    try {
+      const latest = BigInt(await web3.eth.getBlockNumber());
+      await Promise.all(active.map(record => this.check(record, latest).catch(error => {
+        logger.warn('Failed to check transaction:', { hash: record.hash, error: error.message });
+      })));
+    } catch (error) {
+      logger.error('Error polling transactions:', { error: error.message, global: true });
+    }
+
+    this.prune();
+    this.schedule();
+  }
+
+  // RPC errors propagate to poll(): a failed lookup must not pass for a missing receipt
+  async check(record, latest) {
+    const receipt = await web3.eth.getTransactionReceipt(record.hash);
+
+    if (receipt) {
+      const blockNumber = BigInt(receipt.blockNumber);
+      const mined = {
+        blockNumber: blockNumber.toString(),
+        confirmations: Math.max(Number(latest - blockNumber + 1n), 1),
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+      if (BigInt(receipt.status) === 0n) {
+        this.update(record, { ...mined, status: TxStatus.FAILED, error: 'Transaction reverted' });
+      } else if (mined.confirmations >= this.REQUIRED_CONFIRMATIONS) {
+        this.update(record, { ...mined, status: TxStatus.CONFIRMED });
+      } else if (record.status !== TxStatus.MINED || record.confirmations !== mined.confirmations) {
+        this.update(record, { ...mined, status: TxStatus.MINED });
+      }
+      return;
+    }
+
+    // A receipt that disappears means the block was reorganized away
+    if (record.status === TxStatus.MINED) {
+      this.update(record, { status: TxStatus.PENDING, blockNumber: null, confirmations: 0, gasUsed: null });
+      return;
+    }
+
+    // Our nonce was used: by one of our replacements, or by this transaction if it
+    // was mined after the receipt lookup, so look again before giving up on it
+    const minedCount = Number(await web3.eth.getTransactionCount(record.from, 'latest'));
+    if (minedCount > record.nonce && !(await web3.eth.getTransactionReceipt(record.hash))) {
+      const replacedBy = await this.findReplacement(record);
+      if (replacedBy) {
+        this.update(record, {
+          status: TxStatus.REPLACED,
+          replacedBy,
+          error: this.get(replacedBy).replacement === 'cancel'
+            ? 'Transaction cancelled'
+            : 'Transaction replaced by another transaction with the same nonce'
+        });
+        return;
+      }
+    }
+
+    const transaction = await web3.eth.getTransaction(record.hash).catch(() => null);
+    if (transaction) {
+      record.lastSeenAt = Date.now();
+    } else if (Date.now() - record.lastSeenAt > this.DROP_TIMEOUT) {
+      this.update(record, { status: TxStatus.DROPPED, error: 'Transaction dropped from the mempool' });
+    }
+  }
+
+  // Pending transactions from an account with a nonce: the original and any replacements of it
+  pendingWithNonce(from, nonce) {
+    return Array.from(this.records.values()).filter(record =>
+      record.status === TxStatus.PENDING &&
+      record.nonce === nonce &&
+      record.from?.toLowerCase() === from.toLowerCase()
+    );
+  }
+
+  // A tracked transaction from the same account and nonce that made it on chain
+  async findReplacement(record) {
+    const candidates = Array.from(this.records.values()).filter(other =>
+      other !== record &&
+      other.nonce === record.nonce &&
+      other.from?.toLowerCase() === record.from.toLowerCase()
+    );
+
+    for (const candidate of candidates) {
+      const receipt = await web3.eth.getTransactionReceipt(candidate.hash);
+      if (receipt) {
+        return candidate.hash;
+      }
+    }
+    return null;
+  }
+
+  // Forget the oldest finished transactions beyond MAX_RECORDS
+  prune() {
+    const excess = this.records.size - this.MAX_RECORDS;
+    if (excess <= 0) return;
+
+    Array.from(this.records.entries())
+      .filter(([, record]) => this.isFinal(record))
+      .slice(0, excess)
+      .forEach(([key]) => this.records.delete(key));
+  }
+}
+
+export default new TxTracker();
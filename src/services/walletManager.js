@@ -0,0 +1,326 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+import { ethers } from 'ethers';
+import { registerSecret } from '../utils/redact.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_KEYSTORE_DIR = join(__dirname, '../../keystores');
+const DEFAULT_HD_WALLETS_PATH = join(__dirname, '../../hd-wallets.json');
+
+// BIP-44 account for Ethereum-style chains; derived accounts are its children m/.../0/i
+export const HD_BASE_PATH = "m/44'/60'/0'/0";
+const MAX_HD_INDEX = 2 ** 31 - 1;
+
+export const WALLET_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * A derivation that clashes with an existing wallet: its name is taken, or its
+ * index is already derived under another name.
+ */
+export class WalletConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WalletConflictError';
+    this.code = 'WALLET_CONFLICT';
+  }
+}
+
+// KEYSTORE_PASSPHRASE_<NAME> with the name uppercased, e.g. ci-bot -> KEYSTORE_PASSPHRASE_CI_BOT
+const passphraseEnvVar = (name) => `KEYSTORE_PASSPHRASE_${name.toUpperCase().replace(/-/g, '_')}`;
+
+/**
+ * Named signing wallets, loaded once at startup from encrypted JSON keystores
+ * (Web3 Secret Storage v3, scrypt or pbkdf2) in KEYSTORE_DIR. A keystore's file
+ * name is its wallet name: keystores/ci-bot.json is the wallet "ci-bot".
+ *
+ * Passphrases are looked up per wallet, first match wins:
+ *   1. KEYSTORE_PASSPHRASE_<NAME> environment variable
+ *   2. the wallet's entry in KEYSTORE_PASSPHRASE_FILE, a JSON { name: passphrase } map
+ *   3. KEYSTORE_PASSPHRASE environment variable
+ *   4. KEYSTORE_PASSPHRASE_FILE, when it holds a single plain-text passphrase
+ *
+ * With a BIP-39 mnemonic (HD_MNEMONIC or HD_MNEMONIC_FILE, optional
+ * HD_MNEMONIC_PASSWORD), accounts m/44'/60'/0'/0/i can be derived on demand.
+ * Derived indexes and names are kept in HD_WALLETS_PATH, without any secret, and
+ * derived again at startup.
+ *
+ * A plaintext PRIVATE_KEY is still accepted as the wallet "default". The default
+ * wallet is DEFAULT_WALLET, else "default", else the only wallet loaded. Decrypted
+ * keys, passphrases and the mnemonic are registered with the log redactor.
+ */
+class WalletManager {
+  constructor() {
+    this.keystoreDir = process.env.KEYSTORE_DIR || DEFAULT_KEYSTORE_DIR;
+    this.hdWalletsPath = process.env.HD_WALLETS_PATH || DEFAULT_HD_WALLETS_PATH;
+    this.wallets = new Map();
+    this.hdRoot = null;
+    this.loaded = false;
+  }
+
+  // Shared and per-wallet passphrases from KEYSTORE_PASSPHRASE_FILE
+  readPassphraseFile() {
+    const path = process.env.KEYSTORE_PASSPHRASE_FILE;
+    if (!path) {
+      return { shared: null, byName: {} };
+    }
+
+    const content = fs.readFileSync(path, 'utf8');
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        Object.values(parsed).forEach(registerSecret);
+        return { shared: null, byName: parsed };
+      }
+    } catch (error) {
+      // Not JSON: the whole file is one passphrase
+    }
+
+    const shared = content.trim();
+    registerSecret(shared);
+    return { shared, byName: {} };
+  }
+
+  passphraseFor(name, file) {
+    return process.env[passphraseEnvVar(name)] ??
+      file.byName[name] ??
+      process.env.KEYSTORE_PASSPHRASE ??
+      file.shared;
+  }
+
+  /**
+   * Decrypt every keystore. Keystores that cannot be decrypted are logged and
+   * skipped so one bad file does not take every wallet down.
+   */
+  async load() {
+    this.wallets.clear();
+    registerSecret(process.env.KEYSTORE_PASSPHRASE);
+
+    if (process.env.PRIVATE_KEY) {
+      logger.warn('Using plaintext PRIVATE_KEY as wallet "default"; prefer an encrypted keystore');
+      this.add('default', new ethers.Wallet(process.env.PRIVATE_KEY), 'env');
+    }
+
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(this.keystoreDir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read keystore directory:', { dir: this.keystoreDir, error: error.message });
+      }
+    }
+
+    let passphrases = { shared: null, byName: {} };
+    try {
+      passphrases = this.readPassphraseFile();
+    } catch (error) {
+      logger.error('Failed to read keystore passphrase file:', { error: error.message });
+    }
+
+    for (const file of files) {
+      const name = basename(file, '.json');
+      if (!WALLET_NAME_PATTERN.test(name)) {
+        logger.warn('Skipping keystore with an invalid wallet name:', { file });
+        continue;
+      }
+      if (this.wallets.has(name)) {
+        logger.warn('Skipping keystore that duplicates a wallet name:', { file, name });
+        continue;
+      }
+
+      const passphrase = this.passphraseFor(name, passphrases);
+      if (passphrase === undefined || passphrase === null) {
+        logger.error('No passphrase for keystore, skipping it:', { name, env: passphraseEnvVar(name) });
+        continue;
+      }
+      registerSecret(passphrase);
+
+      try {
+        const json = await fs.promises.readFile(join(this.keystoreDir, file), 'utf8');
+        this.add(name, await ethers.Wallet.fromEncryptedJson(json, passphrase), 'keystore');
+      } catch (error) {
+        logger.error('Failed to decrypt keystore:', { name, error: error.message });
+      }
+    }
+
+    await this.loadHdWallets();
+
+    this.loaded = true;
+    logger.info('Wallets loaded:', {
+      wallets: this.list().map(({ name, address }) => ({ name, address })),
+      default: this.defaultName
+    });
+  }
+
+  add(name, wallet, source) {
+    registerSecret(wallet.privateKey);
+    this.wallets.set(name, { name, wallet, source });
+  }
+
+  readMnemonic() {
+    if (process.env.HD_MNEMONIC) {
+      return process.env.HD_MNEMONIC.trim();
+    }
+    if (process.env.HD_MNEMONIC_FILE) {
+      return fs.readFileSync(process.env.HD_MNEMONIC_FILE, 'utf8').trim();
+    }
+    return null;
+  }
+
+  // Set up the HD root and derive the accounts recorded in HD_WALLETS_PATH again
+  async loadHdWallets() {
+    this.hdRoot = null;
+
+    let phrase;
+    try {
+      phrase = this.readMnemonic();
+    } catch (error) {
+      logger.error('Failed to read HD mnemonic file:', { error: error.message });
+      return;
+    }
+    if (!phrase) return;
+
+    registerSecret(phrase);
+    registerSecret(process.env.HD_MNEMONIC_PASSWORD);
+    try {
+      this.hdRoot = ethers.HDNodeWallet.fromPhrase(phrase, process.env.HD_MNEMONIC_PASSWORD || '', HD_BASE_PATH);
+      registerSecret(this.hdRoot.privateKey);
+    } catch (error) {
+      logger.error('Invalid HD mnemonic:', { error: error.message });
+      return;
+    }
+
+    let recorded = [];
+    try {
+      recorded = JSON.parse(await fs.promises.readFile(this.hdWalletsPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read derived wallets:', { path: this.hdWalletsPath, error: error.message });
+      }
+    }
+
+    recorded.forEach(({ index, name }) => {
+      if (this.wallets.has(name)) {
+        logger.warn('Skipping derived wallet that duplicates a wallet name:', { name, index });
+        return;
+      }
+      this.addDerived(index, name);
+    });
+  }
+
+  addDerived(index, name) {
+    const wallet = this.hdRoot.deriveChild(index);
+    this.add(name, wallet, 'hd');
+    Object.assign(this.wallets.get(name), { index, path: wallet.path });
+    return this.wallets.get(name);
+  }
+
+  async saveHdWallets() {
+    const recorded = Array.from(this.wallets.values())
+      .filter(entry => entry.source === 'hd')
+      .map(({ index, name }) => ({ index, name }));
+    await fs.promises.writeFile(this.hdWalletsPath, JSON.stringify(recorded, null, 2));
+  }
+
+  /**
+   * Derive the account at `index` (default: the next unused one) and register it
+   * as a wallet named `name` (default: hd-<index>). Deriving an index again returns
+   * the wallet it was registered as.
+   */
+  async derive({ index, name } = {}) {
+    if (!this.hdRoot) {
+      throw new Error('HD wallet is not configured: set HD_MNEMONIC or HD_MNEMONIC_FILE');
+    }
+
+    const derived = Array.from(this.wallets.values()).filter(entry => entry.source === 'hd');
+    const wanted = index ?? (derived.length ? Math.max(...derived.map(entry => entry.index)) + 1 : 0);
+    if (!Number.isInteger(wanted) || wanted < 0 || wanted > MAX_HD_INDEX) {
+      throw new Error(`index must be an integer between 0 and ${MAX_HD_INDEX}`);
+    }
+
+    const existing = derived.find(entry => entry.index === wanted);
+    if (existing) {
+      if (name && name !== existing.name) {
+        throw new WalletConflictError(`Index ${wanted} is already derived as wallet ${existing.name}`);
+      }
+      return this.describe(existing);
+    }
+
+    const walletName = name ?? `hd-${wanted}`;
+    if (!WALLET_NAME_PATTERN.test(walletName)) {
+      throw new Error('Wallet names may only contain letters, digits, - and _');
+    }
+    if (this.wallets.has(walletName)) {
+      throw new WalletConflictError(`Wallet name already in use: ${walletName}`);
+    }
+
+    const entry = this.addDerived(wanted, walletName);
+    await this.saveHdWallets();
+    logger.info('Derived HD wallet:', { name: walletName, index: wanted, address: entry.wallet.address });
+    return this.describe(entry);
+  }
+
+  get defaultName() {
+    if (process.env.DEFAULT_WALLET) {
+      return process.env.DEFAULT_WALLET;
+    }
+    if (this.wallets.has('default') || this.wallets.size !== 1) {
+      return 'default';
+    }
+    return this.wallets.keys().next().value;
+  }
+
+  has(name) {
+    return this.wallets.has(name);
+  }
+
+  /**
+   * The wallet with this name; without a name, the default wallet.
+   */
+  get(name) {
+    const wanted = name ?? this.defaultName;
+    const entry = this.wallets.get(wanted);
+    if (entry) {
+      return entry.wallet;
+    }
+
+    if (!this.loaded) {
+      throw new Error('Wallets are not loaded yet');
+    }
+    if (!this.wallets.size) {
+      throw new Error('No wallets configured: add encrypted keystores to KEYSTORE_DIR or set PRIVATE_KEY');
+    }
+    throw new Error(name ? `Unknown wallet: ${name}` : `Default wallet "${wanted}" is not loaded; set DEFAULT_WALLET`);
+  }
+
+  findByAddress(address) {
+    const wanted = address.toLowerCase();
+    const entry = Array.from(this.wallets.values()).find(({ wallet }) => wallet.address.toLowerCase() === wanted);
+    return entry?.wallet ?? null;
+  }
+
+  // Names, addresses and derivation paths only; keys never leave this service
+  describe({ name, wallet, source, index, path }, defaultName = this.defaultName) {
+    return {
+      name,
+      address: wallet.address,
+      source,
+      ...(source === 'hd' && { index, path }),
+      isDefault: name === defaultName
+    };
+  }
+
+  list() {
+    const defaultName = this.defaultName;
+    return Array.from(this.wallets.values()).map(entry => this.describe(entry, defaultName));
+  }
+
+  get hdEnabled() {
+    return this.hdRoot !== null;
+  }
+}
+
+export default new WalletManager();
@@ -1,6 +1,8 @@
 import WebSocket from 'ws';
 import logger from '../utils/logger.js';
 import monadService from './monad.js';
+import txTracker from './txTracker.js';
+import approvalQueue from './approvalQueue.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -82,6 +84,20 @@ class WebSocketService {
         });
       });
 
+      // Transaction outcomes from the tracker
+      ['txConfirmed', 'txFailed'].forEach(type => {
+        txTracker.on(type, (record) => {
+          this.broadcast({ type, data: record });
+        });
+      });
+
+      // Writes waiting for, or resolved by, an operator decision
+      ['approvalRequested', 'approvalUpdated'].forEach(type => {
+        approvalQueue.on(type, (item) => {
+          this.broadcast({ type, data: item });
+        });
+      });
+
       logger.info('Event listeners setup completed');
     } catch (error) {
       logger.warn('Error setting up event listeners:', { error: error.message });
@@ -0,0 +1,20 @@
+import { ethers } from 'ethers';
+
+/**
+ * An address in checksum form. Mixed-case addresses must carry a valid EIP-55
+ * checksum; all-lowercase or all-uppercase ones carry none and are accepted.
+ * `field` names the parameter in error messages.
+ */
+const parseAddress = (address, field) => {
+  const suffix = field ? ` for ${field}` : '';
+  if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    throw new Error(`Invalid address format${suffix}`);
+  }
+  try {
+    return ethers.getAddress(address);
+  } catch (error) {
+    throw new Error(`Address checksum mismatch${suffix}: ${address}`);
+  }
+};
+
+export { parseAddress };
@@ -0,0 +1,18 @@
+import { AbiError, ContractExecutionError } from 'web3';
+
+/**
+ * Whether a failed contract call was refused by the contract (a revert, or nothing
+ * decodable came back) rather than lost by the RPC. Only the former says anything
+ * about what the contract implements.
+ */
+const isRejectedCall = (error) => error instanceof ContractExecutionError || error instanceof AbiError;
+
+// Resolve an optional view call to null when the contract refuses it; RPC failures still throw
+const optionalCall = (call) => call.catch(error => {
+  if (isRejectedCall(error)) {
+    return null;
+  }
+  throw error;
+});
+
+export { isRejectedCall, optionalCall };
@@ -2,14 +2,34 @@ import winston from 'winston';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { redact } from './redact.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Mask keys, passphrases and other secrets before anything is written
+const redactSecrets = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    if (key !== 'level') {
+      info[key] = key === 'message' || key === 'stack' ? redact(info[key]) : redact({ [key]: info[key] })[key];
+    }
+  });
+  return info;
+});
+
+// Fields shared by everything logged while handling one request, such as the MCP session it belongs to
+const logContext = new AsyncLocalStorage();
+
+// Tag entries with the current request's fields; fields passed to the log call win
+const requestFields = winston.format((info) => Object.assign(info, { ...logContext.getStore(), ...info }));
+
 // Define log format
 const logFormat = winston.format.combine(
+  requestFields(),
   winston.format.timestamp(),
   winston.format.errors({ stack: true }),
+  redactSecrets(),
   winston.format.json()
 );
 
@@ -41,10 +61,12 @@ const logger = winston.createLogger({
   ],
 });
 
-// If we're not in production, log to the console with a simpler format
+// If we're not in production, log to the console with a simpler format.
+// Console output goes to stderr at every level: stdout is reserved for the MCP stdio transport.
 if (process.env.NODE_ENV !== 'production') {
   logger.add(
     new winston.transports.Console({
+      stderrLevels: Object.keys(winston.config.npm.levels),
       format: winston.format.combine(
         winston.format.colorize(),
         winston.format.simple()
@@ -65,5 +87,5 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
-export { logger, stream };
+export { logger, stream, logContext };
 export default logger; 
\ No newline at end of file
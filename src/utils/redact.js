@@ -0,0 +1,64 @@
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never shown, whatever they contain
+const SECRET_KEY_PATTERN = /(private_?key|api_?key|secret|passphrase|password|mnemonic|authorization)/i;
+
+// Environment variables holding secrets; their values are masked wherever they appear
+const SECRET_ENV_VARS = ['PRIVATE_KEY', 'BLOCKVISION_API_KEY'];
+
+// Secrets only known at runtime, such as keys decrypted from keystores
+const runtimeSecrets = new Set();
+
+/**
+ * Mask a secret value in every later log entry. Short values are ignored, they
+ * would mask too much unrelated text.
+ */
+const registerSecret = (value) => {
+  if (typeof value === 'string' && value.length >= 8) {
+    runtimeSecrets.add(value);
+  }
+};
+
+const secretValues = () => SECRET_ENV_VARS
+  .map(name => process.env[name])
+  .concat(Array.from(runtimeSecrets))
+  .filter(value => value && value.length >= 8)
+  .flatMap(value => [value, value.replace(/^0x/, '')]);
+
+const redactString = (text) => secretValues().reduce(
+  (result, secret) => result.split(secret).join(REDACTED),
+  text
+);
+
+/**
+ * Return a copy of a log payload with secrets removed: values under secret-looking
+ * keys are replaced, and configured secret values are masked inside strings.
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 8) {
+    return '[Object]';
+  }
+  if (value instanceof Error) {
+    return { message: redactString(value.message) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1)
+  ]));
+};
+
+export { REDACTED, redact, registerSecret };
+export default redact;
@@ -0,0 +1,62 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { encode, reverted, stubRpc } from './helpers/rpc.js';
+import erc20Service, { parseTokenAmount } from '../src/services/erc20.js';
+
+const TOKEN = '0x5FbDb2315678AfecB367F032d315F642f64180AA';
+
+const metadataCalls = {
+  '0x06fdde03': () => encode(['string'], ['Pikimon Gold']),
+  '0x95d89b41': () => encode(['string'], ['PGOLD']),
+  '0x313ce567': () => encode(['uint8'], [6])
+};
+
+beforeEach(() => {
+  erc20Service.metadata.clear();
+});
+
+test('reads and caches token metadata', async () => {
+  stubRpc({ calls: metadataCalls });
+  assert.deepEqual(await erc20Service.getMetadata(TOKEN), {
+    address: TOKEN,
+    name: 'Pikimon Gold',
+    symbol: 'PGOLD',
+    decimals: 6
+  });
+
+  const requests = stubRpc();
+  assert.equal((await erc20Service.getMetadata(TOKEN)).decimals, 6);
+  assert.deepEqual(requests, []);
+});
+
+test('reports metadata a token does not implement as null', async () => {
+  stubRpc({ calls: { ...metadataCalls, '0x06fdde03': () => { throw reverted(); } } });
+
+  const metadata = await erc20Service.getMetadata(TOKEN);
+
+  assert.equal(metadata.name, null);
+  assert.equal(metadata.decimals, 6);
+});
+
+test('throws RPC failures instead of caching missing decimals', async () => {
+  stubRpc({ calls: { ...metadataCalls, '0x313ce567': () => { throw new Error('socket hang up'); } } });
+  await assert.rejects(erc20Service.getMetadata(TOKEN), /socket hang up/);
+
+  stubRpc({ calls: metadataCalls });
+  assert.equal((await erc20Service.getMetadata(TOKEN)).decimals, 6);
+});
+
+test('reads decimals again for a token that lacked them', async () => {
+  stubRpc({ calls: { ...metadataCalls, '0x313ce567': () => '0x' } });
+  assert.equal((await erc20Service.getMetadata(TOKEN)).decimals, null);
+
+  stubRpc({ calls: metadataCalls });
+  assert.equal((await erc20Service.getMetadata(TOKEN)).decimals, 6);
+});
+
+test('parses token amounts by the token\'s decimals', () => {
+  assert.equal(parseTokenAmount('1.5', 'token', 6), 1500000n);
+  assert.equal(parseTokenAmount('42', 'base', null), 42n);
+  assert.throws(() => parseTokenAmount('1.1234567', 'token', 6), /at most 6 decimals/);
+  assert.throws(() => parseTokenAmount('1', 'token', null), /give the amount in base units/);
+});
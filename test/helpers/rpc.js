@@ -0,0 +1,33 @@
+import { ethers } from 'ethers';
+import { web3 } from '../../src/config/web3.js';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+export const encode = (types, values) => coder.encode(types, values);
+
+// The error a node returns for a call that reverts
+export const reverted = () => Object.assign(new Error('execution reverted'), { code: 3 });
+
+/**
+ * Point the shared web3 client at an in-memory provider. `calls` maps a 4-byte
+ * selector to a function of the calldata returning encoded output (or throwing);
+ * other selectors return empty data. Returns the log of JSON-RPC methods called.
+ */
+export const stubRpc = ({ code = '0x6080', calls = {} } = {}) => {
+  const requests = [];
+  web3.setProvider({
+    request: async ({ method, params }) => {
+      requests.push(method);
+      if (method === 'eth_getCode') {
+        return code;
+      }
+      if (method === 'eth_call') {
+        const data = params[0].data || params[0].input;
+        const handler = calls[data.slice(0, 10)];
+        return handler ? handler(data) : '0x';
+      }
+      throw new Error(`Unexpected RPC method: ${method}`);
+    }
+  });
+  return requests;
+};
@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { encode, reverted, stubRpc } from './helpers/rpc.js';
+import nftService, { INTERFACE_IDS, NftStandard } from '../src/services/nft.js';
+
+const CONTRACT = '0x5FbDb2315678AfecB367F032d315F642f64180AA';
+
+// supportsInterface answering true for `supported` ids and reverting on 0xffffffff
+const erc165 = (supported) => ({
+  '0x01ffc9a7': (data) => {
+    const id = `0x${data.slice(10, 18)}`;
+    if (id === '0xffffffff') {
+      throw reverted();
+    }
+    return encode(['bool'], [supported.includes(id)]);
+  }
+});
+
+const erc721Calls = {
+  ...erc165([INTERFACE_IDS.erc165, INTERFACE_IDS.erc721, INTERFACE_IDS.erc721Metadata]),
+  '0x06fdde03': () => encode(['string'], ['Pikimon']),
+  '0x95d89b41': () => { throw reverted(); }
+};
+
+beforeEach(() => {
+  nftService.collections.clear();
+});
+
+test('detects an ERC-721 collection and its optional metadata', async () => {
+  stubRpc({ calls: erc721Calls });
+
+  const collection = await nftService.detect(CONTRACT);
+
+  assert.equal(collection.standard, NftStandard.ERC721);
+  assert.equal(collection.interfaces.erc721Metadata, true);
+  assert.equal(collection.name, 'Pikimon');
+  assert.equal(collection.symbol, null);
+});
+
+test('detects an ERC-1155 collection', async () => {
+  stubRpc({ calls: erc165([INTERFACE_IDS.erc165, INTERFACE_IDS.erc1155]) });
+
+  const collection = await nftService.detect(CONTRACT);
+
+  assert.equal(collection.standard, NftStandard.ERC1155);
+  assert.equal(collection.interfaces.erc721, false);
+});
+
+test('reports interfaces of a contract without ERC-165 as unsupported', async () => {
+  stubRpc();
+
+  assert.equal(await nftService.supportsInterface(CONTRACT, INTERFACE_IDS.erc721), false);
+  assert.equal((await nftService.detect(CONTRACT)).standard, null);
+});
+
+test('throws RPC failures instead of reporting the interface as unsupported', async () => {
+  stubRpc({ calls: { '0x01ffc9a7': () => { throw new Error('socket hang up'); } } });
+
+  await assert.rejects(nftService.supportsInterface(CONTRACT, INTERFACE_IDS.erc721), /socket hang up/);
+  await assert.rejects(nftService.detect(CONTRACT), /socket hang up/);
+  assert.equal(nftService.collections.size, 0);
+});
+
+test('caches detected collections', async () => {
+  stubRpc({ calls: erc721Calls });
+  await nftService.detect(CONTRACT);
+
+  const requests = stubRpc();
+  assert.equal((await nftService.detect(CONTRACT)).standard, NftStandard.ERC721);
+  assert.deepEqual(requests, []);
+});
+
+test('looks at a contract again when it was not a collection', async () => {
+  stubRpc();
+  await assert.rejects(nftService.collection(CONTRACT), /does not implement ERC-721 or ERC-1155/);
+
+  stubRpc({ calls: erc721Calls });
+  assert.equal((await nftService.collection(CONTRACT)).standard, NftStandard.ERC721);
+});
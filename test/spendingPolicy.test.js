@@ -0,0 +1,87 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import spendingPolicy, { PolicyViolationError } from '../src/services/spendingPolicy.js';
+
+const WALLET = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TOKEN = '0x5FbDb2315678AfecB367F032d315F642f64180AA';
+const OTHER_TOKEN = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const RECIPIENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const tokens = new ethers.Interface([
+  'function transfer(address,uint256)',
+  'function approve(address,uint256)',
+  'function safeTransferFrom(address,address,uint256,uint256,bytes)'
+]);
+
+const tokenWrite = (to, method, args) => ({ to, value: 0n, data: tokens.encodeFunctionData(method, args) });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+
+const usePolicy = (policy) => {
+  const file = path.join(dir, 'spending-policy.json');
+  fs.writeFileSync(file, JSON.stringify(policy));
+  spendingPolicy.path = file;
+  spendingPolicy.cache = { mtimeMs: null, policy: null, error: null };
+};
+
+const rules = (transaction) => spendingPolicy.check(WALLET, transaction).map(violation => violation.rule);
+
+beforeEach(() => {
+  spendingPolicy.spent.clear();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('caps ERC-20 transfers and approvals per transaction', () => {
+  usePolicy({ tokenLimits: { [TOKEN]: { maxAmountPerTx: '1000' } } });
+
+  assert.deepEqual(rules(tokenWrite(TOKEN, 'transfer', [RECIPIENT, 1000n])), []);
+  assert.deepEqual(rules(tokenWrite(TOKEN, 'transfer', [RECIPIENT, 1001n])), ['maxAmountPerTx']);
+  assert.deepEqual(rules(tokenWrite(TOKEN, 'approve', [RECIPIENT, ethers.MaxUint256])), ['maxAmountPerTx']);
+});
+
+test('counts token writes towards a daily total per token, refunding unsent ones', () => {
+  usePolicy({ tokenLimits: { [TOKEN]: { maxDailyAmount: '1000' } } });
+  const transfer = tokenWrite(TOKEN, 'transfer', [RECIPIENT, 600n]);
+
+  spendingPolicy.authorize(WALLET, transfer);
+  assert.throws(() => spendingPolicy.authorize(WALLET, transfer), PolicyViolationError);
+
+  spendingPolicy.refund(WALLET, transfer);
+  spendingPolicy.authorize(WALLET, transfer);
+  assert.equal(spendingPolicy.spentToday(WALLET, TOKEN.toLowerCase()), 600n);
+  assert.equal(spendingPolicy.spentToday(WALLET), 0n);
+});
+
+test('caps ERC-1155 transfers by the number of tokens moved', () => {
+  usePolicy({ tokenLimits: { [TOKEN]: { maxAmountPerTx: '5' } } });
+
+  const transfer = (amount) => tokenWrite(TOKEN, 'safeTransferFrom', [WALLET, RECIPIENT, 1n, amount, '0x']);
+  assert.deepEqual(rules(transfer(5n)), []);
+  assert.deepEqual(rules(transfer(6n)), ['maxAmountPerTx']);
+});
+
+test('refuses writes to tokens without limits once the policy caps spending', () => {
+  usePolicy({ maxValuePerTx: '1000' });
+
+  assert.deepEqual(rules(tokenWrite(OTHER_TOKEN, 'transfer', [RECIPIENT, 1n])), ['tokenLimits']);
+  assert.deepEqual(rules({ to: RECIPIENT, value: 1000n, data: '0x' }), []);
+});
+
+test('leaves token writes alone when nothing is capped', () => {
+  usePolicy({ maxGasPrice: '100000000000' });
+
+  assert.deepEqual(rules(tokenWrite(OTHER_TOKEN, 'transfer', [RECIPIENT, 10n ** 30n])), []);
+});
+
+test('rejects malformed token limits', () => {
+  usePolicy({ tokenLimits: { [TOKEN]: { maxAmountPerTx: '1.5' } } });
+
+  assert.deepEqual(rules(tokenWrite(TOKEN, 'transfer', [RECIPIENT, 1n])), ['policyFile']);
+});
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { web3 } from '../src/config/web3.js';
+import txTracker, { TxStatus } from '../src/services/txTracker.js';
+
+const FROM = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const HASH = `0x${'a'.repeat(64)}`;
+const SPEEDUP = `0x${'b'.repeat(64)}`;
+
+// Chain state served by the stubbed RPC calls
+let chain;
+
+const receipt = (hash) => ({ transactionHash: hash, status: 1n, blockNumber: 100n, gasUsed: 21000n });
+
+beforeEach(() => {
+  chain = { receipts: new Map(), receiptErrors: 0, minedCount: 5, pending: new Set([HASH]) };
+  web3.eth.getTransactionReceipt = async (hash) => {
+    if (chain.receiptErrors > 0) {
+      chain.receiptErrors--;
+      throw new Error('connection reset');
+    }
+    return chain.receipts.get(hash) ?? null;
+  };
+  web3.eth.getTransactionCount = async () => BigInt(chain.minedCount);
+  web3.eth.getTransaction = async (hash) => (chain.pending.has(hash) ? { hash } : null);
+  txTracker.records.clear();
+});
+
+afterEach(() => {
+  clearTimeout(txTracker.timer);
+  txTracker.timer = null;
+});
+
+const track = (hash = HASH, details = {}) => txTracker.track(hash, { from: FROM, nonce: 5, ...details });
+
+test('marks a transaction confirmed once its receipt has enough confirmations', async () => {
+  const record = track();
+  chain.receipts.set(HASH, receipt(HASH));
+
+  await txTracker.check(record, 100n);
+
+  assert.equal(record.status, TxStatus.CONFIRMED);
+  assert.equal(record.blockNumber, '100');
+});
+
+test('leaves the transaction pending when the receipt lookup fails', async () => {
+  const record = track();
+  chain.receiptErrors = 1;
+  chain.minedCount = 6;
+
+  await assert.rejects(txTracker.check(record, 100n), /connection reset/);
+  assert.equal(record.status, TxStatus.PENDING);
+});
+
+test('does not mark a transaction replaced when it was mined after the first receipt lookup', async () => {
+  const record = track();
+  chain.minedCount = 6;
+  const lookup = web3.eth.getTransactionReceipt;
+  let lookups = 0;
+  web3.eth.getTransactionReceipt = async (hash) => (++lookups === 1 ? null : receipt(hash));
+
+  await txTracker.check(record, 100n);
+  assert.equal(record.status, TxStatus.PENDING);
+
+  web3.eth.getTransactionReceipt = lookup;
+  chain.receipts.set(HASH, receipt(HASH));
+  await txTracker.check(record, 100n);
+  assert.equal(record.status, TxStatus.CONFIRMED);
+});
+
+test('does not mark a transaction replaced when no tracked transaction took its nonce', async () => {
+  const record = track();
+  chain.minedCount = 6;
+
+  await txTracker.check(record, 100n);
+
+  assert.equal(record.status, TxStatus.PENDING);
+  assert.equal(record.replacedBy, null);
+});
+
+test('marks a transaction replaced by a mined speed-up', async () => {
+  const record = track();
+  track(SPEEDUP, { replaces: HASH, replacement: 'speedup' });
+  chain.minedCount = 6;
+  chain.receipts.set(SPEEDUP, receipt(SPEEDUP));
+  const failed = [];
+  txTracker.once('txFailed', failedRecord => failed.push(failedRecord.hash));
+
+  await txTracker.check(record, 100n);
+
+  assert.equal(record.status, TxStatus.REPLACED);
+  assert.equal(record.replacedBy, SPEEDUP);
+  assert.deepEqual(failed, [HASH]);
+});
+
+test('follows a replaced transaction to its speed-up while waiting', async () => {
+  const record = track();
+  track(SPEEDUP, { replaces: HASH, replacement: 'speedup' });
+  chain.minedCount = 6;
+  chain.receipts.set(SPEEDUP, receipt(SPEEDUP));
+
+  const mined = txTracker.waitForMined(HASH, 1000);
+  await txTracker.check(record, 100n);
+  await txTracker.check(txTracker.get(SPEEDUP), 100n);
+
+  assert.equal((await mined).hash, SPEEDUP);
+});
+
+test('supports many concurrent waiters without a listener leak warning', async () => {
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning.name);
+  process.on('warning', onWarning);
+
+  const record = track();
+  const waits = Array.from({ length: 20 }, () => txTracker.waitForMined(HASH, 1000));
+  chain.receipts.set(HASH, receipt(HASH));
+  await txTracker.check(record, 100n);
+  await Promise.all(waits);
+  await new Promise(resolve => setImmediate(resolve));
+
+  process.off('warning', onWarning);
+  assert.deepEqual(warnings, []);
+  assert.equal(txTracker.listenerCount('txUpdated'), 0);
+});